@@ -1,9 +1,7 @@
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('./dbHelpers');
 const fs = require('fs');
 const path = require('path');
 
-const prisma = new PrismaClient();
-
 /**
  * Automatically migrate data from JSON files to database on startup
  * Safe to run multiple times - only migrates if needed
@@ -49,51 +47,11 @@ async function autoMigrate() {
       console.log('[AutoMigrate] ✓ Settings already exist, skipping');
     }
 
-    // 2. Migrate Route Cache (only if not exists and JSON file exists)
-    console.log('[AutoMigrate] Checking route cache...');
-    const cacheCount = await prisma.routeCache.count();
-    
-    if (cacheCount === 0) {
-      const routeCachePath = path.join(__dirname, 'route_cache.json');
-      
-      if (fs.existsSync(routeCachePath)) {
-        console.log('[AutoMigrate] Migrating route cache from JSON...');
-        const routeCache = JSON.parse(fs.readFileSync(routeCachePath, 'utf8'));
-        let migratedCount = 0;
-
-        for (const [busNumber, routes] of Object.entries(routeCache)) {
-          const bus = await prisma.bus.findUnique({ where: { number: busNumber } });
-
-          if (bus) {
-            if (routes.morningRoute && Array.isArray(routes.morningRoute) && routes.morningRoute.length > 0) {
-              await prisma.routeCache.create({
-                data: {
-                  busId: bus.id,
-                  period: 'MORNING',
-                  routeData: routes.morningRoute
-                }
-              }).catch(() => {}); // Ignore if already exists
-              migratedCount++;
-            }
-
-            if (routes.eveningRoute && Array.isArray(routes.eveningRoute) && routes.eveningRoute.length > 0) {
-              await prisma.routeCache.create({
-                data: {
-                  busId: bus.id,
-                  period: 'EVENING',
-                  routeData: routes.eveningRoute
-                }
-              }).catch(() => {}); // Ignore if already exists
-              migratedCount++;
-            }
-          }
-        }
-        console.log(`[AutoMigrate] ✓ Migrated ${migratedCount} route cache entries`);
-      } else {
-        console.log('[AutoMigrate] ✓ No route cache file found, skipping');
-      }
-    } else {
-      console.log('[AutoMigrate] ✓ Route cache already exists, skipping');
+    // 2. Route cache: route_cache.json is not imported. It does not record which stops
+    // its routes were built from, so they could never be served; routes are built from
+    // the current stops by the startup rebuild instead.
+    if (fs.existsSync(path.join(__dirname, 'route_cache.json'))) {
+      console.log('[AutoMigrate] ✓ route_cache.json is no longer used (routes are rebuilt from bus stops), skipping');
     }
 
     // 3. Migrate Pending Admins (only if pending_admins.json exists)
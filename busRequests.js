@@ -0,0 +1,157 @@
+/**
+ * Bus requests (`BusRequest` table)
+ *
+ * Created when a user ticks "request a bus" on an availability check, linked to that
+ * AvailabilityLog row. Admins triage them through the lifecycle
+ *   NEW -> UNDER_REVIEW -> PLANNED -> FULFILLED, or DECLINED at any point
+ * (any status may be set again, e.g. to reopen a declined request). Every status change
+ * and admin comment is kept as a BusRequestComment, oldest first.
+ *
+ * Requesters are notified through the outbox when their request is recorded and when
+ * it moves to a new status (once per status; admin comments stay internal).
+ */
+
+const logger = require('./logger');
+const { prisma, hasDelegate, locationPlaceName } = require('./dbHelpers');
+const outbox = require('./notificationOutbox');
+const { REQUEST_STATUS_MESSAGES } = require('./notificationTemplates');
+
+const STATUSES = ['NEW', 'UNDER_REVIEW', 'PLANNED', 'FULFILLED', 'DECLINED'];
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_BULK = 500;
+
+function placeName(location) {
+  return locationPlaceName(location) || String(location || '');
+}
+
+function statusLabel(status) {
+  return status.replace(/_/g, ' ').toLowerCase();
+}
+
+/**
+ * Status from admin input ("under review", "under-review", "UNDER_REVIEW"), or null.
+ */
+function parseStatus(value) {
+  if (typeof value !== 'string') return null;
+  const status = value.trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return STATUSES.includes(status) ? status : null;
+}
+
+/**
+ * Record a request from an availability check. Best-effort: failures are logged
+ * so the user's check still succeeds.
+ * @param {Object} data - { logId, contact, location, lat, lng, period }
+ * @returns {Object|null} the created request
+ */
+async function createFromCheck({ logId = null, contact, location, lat = null, lng = null, period = null }) {
+  if (!hasDelegate(prisma.busRequest, 'create')) return null;
+  try {
+    const request = await prisma.busRequest.create({
+      data: { logId, contact: String(contact || ''), location: String(location || ''), lat, lng, period }
+    });
+    await outbox.notify({
+      contact: request.contact,
+      template: 'bus-request-received',
+      data: { requestId: request.id, location: placeName(request.location) },
+      dedupeKey: `bus-request-received:${request.id}`
+    });
+    return request;
+  } catch (e) {
+    logger.warn('Failed to record bus request', { logId, error: e && e.message });
+    return null;
+  }
+}
+
+/**
+ * List requests, newest first.
+ * @param {Object} options - { status, q (contact or location substring), limit, offset }
+ * @returns {Object} { total, byStatus (count per status, ignoring filters), requests } -
+ *   each request with `commentCount`
+ */
+async function list({ status, q, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (status) where.status = status;
+  if (q) {
+    where.OR = [
+      { contact: { contains: String(q), mode: 'insensitive' } },
+      { location: { contains: String(q), mode: 'insensitive' } }
+    ];
+  }
+  const [total, rows, counts] = await Promise.all([
+    prisma.busRequest.count({ where }),
+    prisma.busRequest.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+      include: { _count: { select: { comments: true } } }
+    }),
+    prisma.busRequest.groupBy({ by: ['status'], _count: { _all: true } })
+  ]);
+  const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  for (const c of counts) byStatus[c.status] = c._count._all;
+  const requests = rows.map(({ _count, ...r }) => ({ ...r, commentCount: _count.comments }));
+  return { total, byStatus, requests };
+}
+
+/** One request with its comments (oldest first), or null. */
+async function get(id) {
+  return prisma.busRequest.findUnique({
+    where: { id },
+    include: { comments: { orderBy: { createdAt: 'asc' } } }
+  });
+}
+
+/**
+ * Change the status of one or more requests and/or add a comment to each.
+ * Requests already in the target status only get the comment.
+ * @param {Array<Number>} ids
+ * @param {Object} change - { status, comment, author }
+ * @returns {Number} number of requests found and updated
+ */
+async function update(ids, { status, comment, author }) {
+  const body = comment ? String(comment).trim() : '';
+  const found = await prisma.busRequest.findMany({ where: { id: { in: ids } }, select: { id: true, status: true, contact: true, location: true } });
+  if (!found.length) return 0;
+
+  const comments = [];
+  for (const r of found) {
+    const changes = status && status !== r.status;
+    if (!changes && !body) continue;
+    comments.push({
+      requestId: r.id,
+      author: String(author || 'admin'),
+      body,
+      fromStatus: changes ? r.status : null,
+      toStatus: changes ? status : null
+    });
+  }
+  await prisma.$transaction([
+    ...(status ? [prisma.busRequest.updateMany({ where: { id: { in: found.map(r => r.id) } }, data: { status } })] : []),
+    prisma.busRequestComment.createMany({ data: comments })
+  ]);
+
+  if (status && status !== 'NEW') {
+    for (const r of found) {
+      if (r.status === status || !r.contact) continue;
+      await outbox.notify({
+        contact: r.contact,
+        template: 'bus-request-status',
+        data: { requestId: r.id, location: placeName(r.location), statusLabel: statusLabel(status), statusMessage: REQUEST_STATUS_MESSAGES[status] || '' },
+        dedupeKey: `bus-request-status:${r.id}:${status}`
+      });
+    }
+  }
+  return found.length;
+}
+
+module.exports = {
+  STATUSES,
+  MAX_COMMENT_LENGTH,
+  MAX_BULK,
+  parseStatus,
+  createFromCheck,
+  list,
+  get,
+  update
+};
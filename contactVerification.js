@@ -0,0 +1,143 @@
+/**
+ * Contact verification by one-time code (`ContactVerification` table)
+ *
+ * 1. `requestCode(contact)` sends a 6-digit code to the email address or phone number
+ *    through the notification outbox. The code expires after CONTACT_CODE_TTL_MINUTES
+ *    (default 10). A contact can get a new code every CONTACT_CODE_RESEND_SECONDS
+ *    (default 60), and at most CONTACT_CODES_PER_HOUR (default 5) per hour.
+ * 2. `confirmCode(verificationId, code)` checks it (CONTACT_CODE_MAX_ATTEMPTS wrong codes,
+ *    default 5, void the code) and returns a verification token, valid for
+ *    CONTACT_TOKEN_TTL_HOURS (default 24).
+ * 3. `/api/check-availability` passes the token with its contact to `isVerified`; the
+ *    result is stored as AvailabilityLog.contactVerified.
+ *
+ * Only SHA-256 hashes of codes and tokens are stored. Errors meant for the user have
+ * `code = 'CONTACT_VERIFICATION'`, plus `retryAfterSeconds` when the contact must wait.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('./dbHelpers');
+const outbox = require('./notificationOutbox');
+
+const CODE_TTL_MINUTES = parseFloat(process.env.CONTACT_CODE_TTL_MINUTES) || 10;
+const RESEND_SECONDS = parseFloat(process.env.CONTACT_CODE_RESEND_SECONDS) || 60;
+const CODES_PER_HOUR = parseInt(process.env.CONTACT_CODES_PER_HOUR, 10) || 5;
+const MAX_ATTEMPTS = parseInt(process.env.CONTACT_CODE_MAX_ATTEMPTS, 10) || 5;
+const TOKEN_TTL_HOURS = parseFloat(process.env.CONTACT_TOKEN_TTL_HOURS) || 24;
+
+function verificationError(message, retryAfterSeconds) {
+  const err = new Error(message);
+  err.code = 'CONTACT_VERIFICATION';
+  if (retryAfterSeconds) err.retryAfterSeconds = Math.ceil(retryAfterSeconds);
+  return err;
+}
+
+/** Lowercased email, or phone number without spaces and dashes. */
+function normalizeContact(contact) {
+  const value = String(contact || '').trim();
+  return value.includes('@') ? value.toLowerCase() : value.replace(/[\s-]+/g, '');
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+// Code hashes include the row's contact so a code cannot be checked against another contact
+function codeHash(contact, code) {
+  return hash(`${contact}:${code}`);
+}
+
+/**
+ * Send a new code to a contact.
+ * @param {String} contact - email address or phone number (already validated)
+ * @returns {Object} { verificationId, expiresAt, channel }
+ */
+async function requestCode(contact) {
+  const key = normalizeContact(contact);
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  // Limits checked and code stored under a per-contact lock, so parallel requests
+  // cannot all pass the checks before any row is inserted
+  const row = await prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`contact-verification:${key}`}))`;
+    const now = Date.now();
+    const recent = await tx.contactVerification.findMany({
+      where: { contact: key, createdAt: { gte: new Date(now - 60 * 60 * 1000) } },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true }
+    });
+    if (recent.length) {
+      const wait = RESEND_SECONDS - (now - recent[0].createdAt.getTime()) / 1000;
+      if (wait > 0) throw verificationError(`Please wait ${Math.ceil(wait)} seconds before requesting another code`, wait);
+    }
+    if (recent.length >= CODES_PER_HOUR) {
+      const wait = 3600 - (now - recent[recent.length - 1].createdAt.getTime()) / 1000;
+      throw verificationError('Too many codes requested for this contact. Try again later.', wait);
+    }
+    return tx.contactVerification.create({
+      data: { contact: key, codeHash: codeHash(key, code), expiresAt: new Date(now + CODE_TTL_MINUTES * 60 * 1000) }
+    });
+  });
+  await outbox.enqueue({
+    contact: String(contact).trim(),
+    template: 'contact-verification',
+    data: { code, minutes: CODE_TTL_MINUTES },
+    dedupeKey: `contact-verification:${row.id}`
+  });
+  return { verificationId: row.id, expiresAt: row.expiresAt, channel: outbox.channelFor(contact) };
+}
+
+/**
+ * Check a code and issue a verification token.
+ * @param {Number} verificationId - from requestCode
+ * @param {String} code
+ * @returns {Object} { token, contact, expiresAt }
+ */
+async function confirmCode(verificationId, code) {
+  const row = await prisma.contactVerification.findUnique({ where: { id: verificationId } });
+  if (!row || row.verifiedAt) throw verificationError('This code is no longer valid. Request a new one.');
+  if (row.expiresAt.getTime() < Date.now()) throw verificationError('This code has expired. Request a new one.');
+
+  // Reserve the attempt before comparing, so parallel guesses cannot exceed MAX_ATTEMPTS
+  const reserved = await prisma.contactVerification.updateMany({
+    where: { id: row.id, attempts: { lt: MAX_ATTEMPTS }, verifiedAt: null },
+    data: { attempts: { increment: 1 } }
+  });
+  if (reserved.count === 0) throw verificationError('Too many wrong codes. Request a new one.');
+
+  const expected = Buffer.from(row.codeHash, 'hex');
+  const given = Buffer.from(codeHash(row.contact, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = MAX_ATTEMPTS - row.attempts - 1;
+    throw verificationError(left > 0 ? `Incorrect code. ${left} attempt(s) left.` : 'Too many wrong codes. Request a new one.');
+  }
+
+  // Only one request may turn a correct code into a token
+  const token = crypto.randomBytes(24).toString('hex');
+  const tokenExpiresAt = new Date(Date.now() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+  const issued = await prisma.contactVerification.updateMany({
+    where: { id: row.id, verifiedAt: null },
+    data: { verifiedAt: new Date(), tokenHash: hash(token), tokenExpiresAt }
+  });
+  if (issued.count === 0) throw verificationError('This code is no longer valid. Request a new one.');
+  return { token, contact: row.contact, expiresAt: tokenExpiresAt };
+}
+
+/**
+ * Whether `token` was issued for `contact` and has not expired.
+ */
+async function isVerified(contact, token) {
+  if (!contact || typeof token !== 'string' || !token) return false;
+  const row = await prisma.contactVerification.findUnique({
+    where: { tokenHash: hash(token) },
+    select: { contact: true, tokenExpiresAt: true }
+  });
+  return Boolean(row && row.contact === normalizeContact(contact) && row.tokenExpiresAt && row.tokenExpiresAt.getTime() > Date.now());
+}
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  normalizeContact,
+  requestCode,
+  confirmCode,
+  isVerified
+};
@@ -1,4 +1,6 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+// The one PrismaClient (and connection pool) of the process; every module imports this
 const prisma = new PrismaClient();
 
 function hasDelegate(delegate, method = 'findFirst') {
@@ -12,7 +14,11 @@ function hasDelegate(delegate, method = 'findFirst') {
 const DEFAULT_SETTINGS = {
   siteTitle: 'BUS TRANSPORT DETAILS',
   organizationName: 'Your Institution',
-  contact: { address: 'Address line', phone: '+91 00000 00000', email: 'support@example.com' }
+  contact: { address: 'Address line', phone: '+91 00000 00000', email: 'support@example.com' },
+  // Upper bound for the caller-supplied radiusKm on /api/check-availability
+  maxSearchRadiusKm: 5,
+  // GeoJSON Polygon / MultiPolygon served by the buses; null = no restriction
+  serviceArea: null
 };
 
 /**
@@ -45,7 +51,9 @@ async function getSiteSettings() {
         address: settings.contactAddress,
         phone: settings.contactPhone,
         email: settings.contactEmail
-      }
+      },
+      maxSearchRadiusKm: settings.maxSearchRadiusKm ?? DEFAULT_SETTINGS.maxSearchRadiusKm,
+      serviceArea: settings.serviceArea ?? null
     };
   } catch (error) {
     console.error('[Settings] Error reading settings:', error);
@@ -59,7 +67,9 @@ async function getSiteSettings() {
 async function updateSiteSettings(updates) {
   try {
     if (!hasDelegate(prisma.siteSettings)) throw new Error('Model SiteSettings not available');
-    const { siteTitle, organizationName, contact } = updates;
+    const { siteTitle, organizationName, contact, maxSearchRadiusKm, serviceArea } = updates;
+    // undefined = keep, null = clear (Json columns need DbNull to store SQL NULL)
+    const serviceAreaData = serviceArea === null ? Prisma.DbNull : serviceArea;
 
     let settings = await prisma.siteSettings.findFirst({
       orderBy: { id: 'asc' }
@@ -72,7 +82,9 @@ async function updateSiteSettings(updates) {
           organizationName: organizationName || DEFAULT_SETTINGS.organizationName,
           contactAddress: contact?.address || DEFAULT_SETTINGS.contact.address,
           contactPhone: contact?.phone || DEFAULT_SETTINGS.contact.phone,
-          contactEmail: contact?.email || DEFAULT_SETTINGS.contact.email
+          contactEmail: contact?.email || DEFAULT_SETTINGS.contact.email,
+          maxSearchRadiusKm: maxSearchRadiusKm || DEFAULT_SETTINGS.maxSearchRadiusKm,
+          serviceArea: serviceArea ? serviceAreaData : undefined
         }
       });
     } else {
@@ -83,7 +95,9 @@ async function updateSiteSettings(updates) {
           organizationName: organizationName !== undefined ? organizationName : settings.organizationName,
           contactAddress: contact?.address !== undefined ? contact.address : settings.contactAddress,
           contactPhone: contact?.phone !== undefined ? contact.phone : settings.contactPhone,
-          contactEmail: contact?.email !== undefined ? contact.email : settings.contactEmail
+          contactEmail: contact?.email !== undefined ? contact.email : settings.contactEmail,
+          maxSearchRadiusKm: maxSearchRadiusKm !== undefined ? maxSearchRadiusKm : settings.maxSearchRadiusKm,
+          serviceArea: serviceAreaData
         }
       });
     }
@@ -95,7 +109,9 @@ async function updateSiteSettings(updates) {
         address: settings.contactAddress,
         phone: settings.contactPhone,
         email: settings.contactEmail
-      }
+      },
+      maxSearchRadiusKm: settings.maxSearchRadiusKm ?? DEFAULT_SETTINGS.maxSearchRadiusKm,
+      serviceArea: settings.serviceArea ?? null
     };
   } catch (error) {
     console.error('[Settings] Error updating settings:', error);
@@ -200,143 +216,21 @@ async function rejectPendingAdmin(email) {
 }
 
 // ============================================
-// ROUTE CACHE HELPERS (2-hour auto-refresh)
+// AVAILABILITY LOG HELPERS
 // ============================================
 
-const ROUTE_CACHE_REFRESH_HOURS = 2;
-
 /**
- * Get route from cache (database)
- * Returns null if not found or expired
+ * Place name of an AvailabilityLog.location, without the coordinates server.js appends:
+ * "Place Name (16.506200, 80.648000)" -> "Place Name". Empty when there is no name.
  */
-async function getRouteFromCache(busId, period) {
-  try {
-    if (!hasDelegate(prisma.routeCache, 'findUnique')) return null;
-    const cached = await prisma.routeCache.findUnique({
-      where: {
-        busId_period: {
-          busId: parseInt(busId),
-          period: period.toUpperCase()
-        }
-      }
-    });
-
-    if (!cached) {
-      return null;
-    }
-
-    // Check if cache is older than ROUTE_CACHE_REFRESH_HOURS
-    const cacheAge = Date.now() - cached.updatedAt.getTime();
-    const maxAge = ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000;
-
-    if (cacheAge > maxAge) {
-      console.log(`[RouteCache] Cache expired for bus ${busId} ${period}, needs refresh`);
-      return null; // Force refresh
-    }
-
-    return cached.routeData;
-  } catch (error) {
-    console.error('[RouteCache] Error reading from cache:', error);
-    return null;
-  }
-}
-
-/**
- * Save route to cache (database)
- */
-async function saveRouteToCache(busId, period, routeData) {
-  try {
-    if (!hasDelegate(prisma.routeCache, 'upsert')) return false;
-    await prisma.routeCache.upsert({
-      where: {
-        busId_period: {
-          busId: parseInt(busId),
-          period: period.toUpperCase()
-        }
-      },
-      update: {
-        routeData: routeData,
-        updatedAt: new Date()
-      },
-      create: {
-        busId: parseInt(busId),
-        period: period.toUpperCase(),
-        routeData: routeData
-      }
-    });
-    console.log(`[RouteCache] Saved route for bus ${busId} ${period}`);
-    return true;
-  } catch (error) {
-    console.error('[RouteCache] Error saving to cache:', error);
-    return false;
-  }
-}
-
-/**
- * Clear expired cache entries (older than ROUTE_CACHE_REFRESH_HOURS)
- */
-async function clearExpiredRouteCache() {
-  try {
-    if (!hasDelegate(prisma.routeCache, 'deleteMany')) return 0;
-    const expiryTime = new Date(Date.now() - ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000);
-    
-    const result = await prisma.routeCache.deleteMany({
-      where: {
-        updatedAt: {
-          lt: expiryTime
-        }
-      }
-    });
-
-    if (result.count > 0) {
-      console.log(`[RouteCache] Cleared ${result.count} expired cache entries`);
-    }
-    return result.count;
-  } catch (error) {
-    console.error('[RouteCache] Error clearing expired cache:', error);
-    return 0;
-  }
-}
-
-/**
- * Get all cached routes for a bus
- */
-async function getAllRoutesForBus(busId) {
-  try {
-    if (!hasDelegate(prisma.routeCache, 'findMany')) return { morningRoute: null, eveningRoute: null };
-    const routes = await prisma.routeCache.findMany({
-      where: {
-        busId: parseInt(busId)
-      }
-    });
-
-    return {
-      morningRoute: routes.find(r => r.period === 'MORNING')?.routeData || null,
-      eveningRoute: routes.find(r => r.period === 'EVENING')?.routeData || null
-    };
-  } catch (error) {
-    console.error('[RouteCache] Error getting routes for bus:', error);
-    return { morningRoute: null, eveningRoute: null };
-  }
-}
-
-/**
- * Initialize periodic cache cleanup (runs every 2 hours)
- */
-function initializeRouteCacheCleanup() {
-  // Clear expired cache immediately on startup
-  clearExpiredRouteCache();
-
-  // Schedule periodic cleanup every 2 hours
-  setInterval(() => {
-    console.log('[RouteCache] Running scheduled cache cleanup...');
-    clearExpiredRouteCache();
-  }, ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000);
-
-  console.log(`[RouteCache] Initialized with ${ROUTE_CACHE_REFRESH_HOURS}h auto-refresh`);
+function locationPlaceName(location) {
+  return String(location || '').replace(/\s*\(\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*\)\s*$/, '').trim();
 }
 
 module.exports = {
+  prisma,
+  hasDelegate,
+
   // Settings
   getSiteSettings,
   updateSiteSettings,
@@ -348,12 +242,7 @@ module.exports = {
   adminExists,
   approvePendingAdmin,
   rejectPendingAdmin,
-  
-  // Route Cache
-  getRouteFromCache,
-  saveRouteToCache,
-  clearExpiredRouteCache,
-  getAllRoutesForBus,
-  initializeRouteCacheCleanup,
-  ROUTE_CACHE_REFRESH_HOURS
+
+  // Availability logs
+  locationPlaceName
 };
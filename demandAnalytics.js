@@ -0,0 +1,133 @@
+/**
+ * Demand analytics over AvailabilityLog
+ *
+ * Searches are binned into a square grid of `cellMeters` cells (cell width uses the
+ * reference latitude, normally the campus) in the database, with counts per searched
+ * period. Neighbouring cells (8-connected) with at least `minCount` searches are then
+ * merged into clusters - the unserved areas where a new stop or route is most wanted.
+ *
+ * By default only UNAVAILABLE searches are counted; OUT_OF_AREA ones can be added, and
+ * the counts can be limited to "request a bus" checks or verified contacts.
+ */
+
+const { prisma } = require('./dbHelpers');
+
+const METERS_PER_DEGREE_LAT = 111320;
+const MAX_CELLS = 5000; // busiest cells returned per query
+const MAX_CLUSTERS = 20;
+
+const MIN_CELL_METERS = 100;
+const MAX_CELL_METERS = 5000;
+
+/**
+ * Grid cells of matching searches, busiest first.
+ * @param {Object} options - { from, to (Dates, `to` exclusive), statuses, period (MORNING | EVENING |
+ *   BOTH, exact match; omitted for all), requestedOnly, verifiedOnly, cellMeters, refLat }
+ * @returns {Object} { cellMeters, truncated, cells: [{ row, col, south, west, north, east, lat, lng,
+ *   searches, morning, evening, both, requested, contacts }] } - lat/lng is the searches' mean position
+ */
+async function gridCells({ from, to, statuses = ['UNAVAILABLE'], period = null, requestedOnly = false, verifiedOnly = false, cellMeters = 500, refLat = 0 }) {
+  const size = Math.min(Math.max(Number(cellMeters) || 500, MIN_CELL_METERS), MAX_CELL_METERS);
+  const dLat = size / METERS_PER_DEGREE_LAT;
+  const dLng = size / (METERS_PER_DEGREE_LAT * Math.cos((Number(refLat) || 0) * Math.PI / 180));
+
+  // SECURITY NOTE: tagged template - every value is sent as a query parameter
+  const rows = await prisma.$queryRaw`
+    SELECT floor(lat / ${dLat})::int AS "cellRow",
+           floor(lng / ${dLng})::int AS "cellCol",
+           count(*)::int AS searches,
+           (count(*) FILTER (WHERE period = 'MORNING'))::int AS morning,
+           (count(*) FILTER (WHERE period = 'EVENING'))::int AS evening,
+           (count(*) FILTER (WHERE period IS NULL OR period NOT IN ('MORNING', 'EVENING')))::int AS both,
+           (count(*) FILTER (WHERE requested))::int AS requested,
+           count(DISTINCT lower(contact))::int AS contacts,
+           avg(lat)::float8 AS lat,
+           avg(lng)::float8 AS lng
+    FROM "AvailabilityLog"
+    WHERE lat IS NOT NULL AND lng IS NOT NULL
+      AND status = ANY(${statuses}::text[])
+      AND "createdAt" >= ${from} AND "createdAt" < ${to}
+      AND (${period}::text IS NULL OR COALESCE(period, 'BOTH') = ${period}::text)
+      AND (NOT ${requestedOnly}::boolean OR requested)
+      AND (NOT ${verifiedOnly}::boolean OR "contactVerified")
+    GROUP BY 1, 2
+    ORDER BY searches DESC
+    LIMIT ${MAX_CELLS + 1}`;
+
+  const cells = rows.slice(0, MAX_CELLS).map(r => ({
+    row: r.cellRow,
+    col: r.cellCol,
+    south: r.cellRow * dLat,
+    west: r.cellCol * dLng,
+    north: (r.cellRow + 1) * dLat,
+    east: (r.cellCol + 1) * dLng,
+    lat: r.lat,
+    lng: r.lng,
+    searches: r.searches,
+    morning: r.morning,
+    evening: r.evening,
+    both: r.both,
+    requested: r.requested,
+    contacts: r.contacts
+  }));
+  return { cellMeters: size, truncated: rows.length > MAX_CELLS, cells };
+}
+
+/**
+ * Merge neighbouring cells with at least `minCount` searches into clusters, busiest first.
+ * Contacts are summed per cell, so a contact searching from two cells of a cluster counts twice.
+ * @returns {Array} [{ id, cells, searches, morning, evening, both, requested, contacts, lat, lng,
+ *   south, west, north, east }] - lat/lng is the search-weighted centre
+ */
+function clusterCells(cells, { minCount = 3, limit = MAX_CLUSTERS } = {}) {
+  const hot = new Map();
+  for (const c of cells) {
+    if (c.searches >= minCount) hot.set(`${c.row}:${c.col}`, c);
+  }
+  const seen = new Set();
+  const clusters = [];
+  for (const [key, start] of hot) {
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const members = [];
+    const queue = [start];
+    while (queue.length) {
+      const cell = queue.pop();
+      members.push(cell);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const k = `${cell.row + dr}:${cell.col + dc}`;
+          if (!hot.has(k) || seen.has(k)) continue;
+          seen.add(k);
+          queue.push(hot.get(k));
+        }
+      }
+    }
+    const sum = field => members.reduce((acc, m) => acc + m[field], 0);
+    const searches = sum('searches');
+    clusters.push({
+      cells: members.length,
+      searches,
+      morning: sum('morning'),
+      evening: sum('evening'),
+      both: sum('both'),
+      requested: sum('requested'),
+      contacts: sum('contacts'),
+      lat: members.reduce((acc, m) => acc + m.lat * m.searches, 0) / searches,
+      lng: members.reduce((acc, m) => acc + m.lng * m.searches, 0) / searches,
+      south: Math.min(...members.map(m => m.south)),
+      west: Math.min(...members.map(m => m.west)),
+      north: Math.max(...members.map(m => m.north)),
+      east: Math.max(...members.map(m => m.east))
+    });
+  }
+  clusters.sort((a, b) => b.searches - a.searches);
+  return clusters.slice(0, limit).map((c, i) => ({ id: i + 1, ...c }));
+}
+
+module.exports = {
+  MIN_CELL_METERS,
+  MAX_CELL_METERS,
+  gridCells,
+  clusterCells
+};
@@ -0,0 +1,158 @@
+/**
+ * Persistent geocode cache (`GeocodeCache` table)
+ *
+ * Shared by geocodeLocation (FORWARD: place name -> coordinates) and
+ * reverseGeocode / geocodeLatLng (REVERSE: coordinates -> address) so results
+ * survive restarts and deploys instead of spending GOOGLE_MAPS_DAILY_LIMIT again.
+ *
+ * - Query keys are normalized (case, accents, punctuation, whitespace) for FORWARD
+ *   lookups and rounded to 5 decimals (~1m) for REVERSE lookups.
+ * - Every entry records the provider that answered and expires after
+ *   GEOCODE_CACHE_TTL_DAYS (default 30). Admin-corrected entries never expire.
+ * - Each cache hit increments `hits` and stamps `lastHitAt`.
+ * - FORWARD entries also keep the full candidate list (`candidates`) so ambiguous
+ *   queries can be disambiguated without asking the geocoder again.
+ */
+
+const { Prisma } = require('@prisma/client');
+const logger = require('./logger');
+const { prisma, hasDelegate } = require('./dbHelpers');
+
+const GEOCODE_CACHE_TTL_DAYS = parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || 30;
+const KINDS = ['FORWARD', 'REVERSE'];
+
+/**
+ * Normalize a place query: "  Benz Circle,  Vijayawada " -> "benz circle vijayawada"
+ */
+function normalizeQuery(query) {
+  return String(query || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/** Cache key for a coordinate pair (5 decimals, ~1m). */
+function reverseKey(lat, lng) {
+  return `${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`;
+}
+
+function expiryDate() {
+  return new Date(Date.now() + GEOCODE_CACHE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function isExpired(entry) {
+  return Boolean(entry.expiresAt) && new Date(entry.expiresAt).getTime() < Date.now();
+}
+
+/**
+ * Cached entry for kind + key, or null on a miss / expired entry.
+ * @returns {Object|null} { lat, lng, formattedAddress, provider, ... }
+ */
+async function get(kind, queryKey) {
+  if (!queryKey || !hasDelegate(prisma.geocodeCache, 'findUnique')) return null;
+  try {
+    const entry = await prisma.geocodeCache.findUnique({ where: { kind_queryKey: { kind, queryKey } } });
+    if (!entry || isExpired(entry)) return null;
+    // Hit counter is best-effort; do not delay the lookup for it
+    prisma.geocodeCache.update({ where: { id: entry.id }, data: { hits: { increment: 1 }, lastHitAt: new Date() } })
+      .catch(e => logger.debug('Failed to record geocode cache hit', { id: entry.id, error: e && e.message }));
+    return entry;
+  } catch (e) {
+    logger.warn('Geocode cache read failed', { kind, queryKey, error: e && e.message });
+    return null;
+  }
+}
+
+/**
+ * Store a successful geocode. Admin-corrected entries are never overwritten.
+ * @param {Object} result - { lat, lng, formattedAddress, provider, candidates? }
+ */
+async function set(kind, queryKey, result) {
+  if (!queryKey || !result || !hasDelegate(prisma.geocodeCache, 'upsert')) return;
+  const data = {
+    lat: result.lat != null ? Number(result.lat) : null,
+    lng: result.lng != null ? Number(result.lng) : null,
+    formattedAddress: result.formattedAddress || null,
+    provider: result.provider || null,
+    candidates: Array.isArray(result.candidates) ? result.candidates : Prisma.DbNull,
+    expiresAt: expiryDate()
+  };
+  try {
+    const existing = await prisma.geocodeCache.findUnique({ where: { kind_queryKey: { kind, queryKey } } });
+    if (existing && existing.corrected) return;
+    await prisma.geocodeCache.upsert({
+      where: { kind_queryKey: { kind, queryKey } },
+      update: data,
+      create: { kind, queryKey, ...data }
+    });
+  } catch (e) {
+    logger.warn('Geocode cache write failed', { kind, queryKey, error: e && e.message });
+  }
+}
+
+// ============================================
+// ADMIN HELPERS
+// ============================================
+
+/**
+ * List entries, most used first.
+ * @param {Object} options - { kind, q (substring of key or address), limit, offset }
+ */
+async function list({ kind, q, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (kind) where.kind = kind;
+  if (q) {
+    where.OR = [
+      { queryKey: { contains: normalizeQuery(q) || String(q) } },
+      { formattedAddress: { contains: String(q), mode: 'insensitive' } }
+    ];
+  }
+  const [total, entries] = await Promise.all([
+    prisma.geocodeCache.count({ where }),
+    prisma.geocodeCache.findMany({ where, orderBy: [{ hits: 'desc' }, { updatedAt: 'desc' }], take: limit, skip: offset })
+  ]);
+  return { total, entries: entries.map(e => ({ ...e, expired: isExpired(e) })) };
+}
+
+/**
+ * Admin correction: overrides coordinates/address, pins the entry (no expiry).
+ * Stored candidates are dropped so the corrected location is the only answer.
+ */
+async function correct(id, { lat, lng, formattedAddress }) {
+  const data = { corrected: true, provider: 'admin', expiresAt: null, candidates: Prisma.DbNull };
+  if (lat !== undefined) data.lat = lat;
+  if (lng !== undefined) data.lng = lng;
+  if (formattedAddress !== undefined) data.formattedAddress = formattedAddress;
+  return prisma.geocodeCache.update({ where: { id }, data });
+}
+
+async function remove(id) {
+  return prisma.geocodeCache.delete({ where: { id } });
+}
+
+/**
+ * Delete entries. With expiredOnly, only entries past their expiry are removed.
+ * @returns {Number} deleted count
+ */
+async function purge({ kind, expiredOnly = false } = {}) {
+  const where = {};
+  if (kind) where.kind = kind;
+  if (expiredOnly) where.expiresAt = { lt: new Date() };
+  const { count } = await prisma.geocodeCache.deleteMany({ where });
+  return count;
+}
+
+module.exports = {
+  KINDS,
+  GEOCODE_CACHE_TTL_DAYS,
+  normalizeQuery,
+  reverseKey,
+  get,
+  set,
+  list,
+  correct,
+  remove,
+  purge
+};
@@ -0,0 +1,409 @@
+/**
+ * Geocoder provider chain (place name -> coordinates)
+ *
+ * Each geocoder is `{ name, local, candidates(query, limit) -> Promise<Array> }` where a
+ * candidate is `{ lat, lng, formatted_address }`. The chain returns the candidates of
+ * the first tier that found any, tagged with `provider` (the tier that answered):
+ *
+ *   1. gazetteer - local index of our own Stop names and admin-curated Landmarks;
+ *                  common campus-area queries never leave the server
+ *   2. google    - Google Geocoding with GEOCODE_STATE / GEOCODE_CITY preferences
+ *   3. nominatim - OpenStreetMap Nominatim
+ *
+ * Configuration (env):
+ *   GEOCODER_PROVIDERS - comma-separated chain, default "gazetteer,google,nominatim"
+ *   CAMPUS_LAT / CAMPUS_LNG - campus location used to rank candidates; defaults to the
+ *                      mean of the buses' last morning stops
+ *   GEOCODE_PLAUSIBLE_RADIUS_KM - candidates farther than this from campus are
+ *                      implausible (default 60)
+ *
+ * Remote results can be cached by passing `{ cache: { get(query), set(query, candidates) } }`;
+ * the cache is consulted before the first non-local geocoder, so local tiers always
+ * reflect the current stops and landmarks.
+ */
+
+const https = require('https');
+const { prisma } = require('./dbHelpers');
+const logger = require('./logger');
+const { normalizeQuery } = require('./geocodeCache');
+
+const DEFAULT_CHAIN = 'gazetteer,google,nominatim';
+const GAZETTEER_TTL_MS = 5 * 60 * 1000; // rebuilt at most every 5 minutes unless invalidated
+const STOP_CLUSTER_METERS = 300; // same-named stops farther apart than this are ambiguous
+const DEFAULT_CANDIDATE_LIMIT = 5;
+const DUPLICATE_CANDIDATE_METERS = 100; // candidates this close are the same place
+
+let googleKey = null;
+let checkGoogleUsage = () => true;
+
+/**
+ * Inject the Google key and the shared daily usage counter from server.js.
+ * @param {Object} options - { googleKey, checkGoogleUsage: () => boolean }
+ */
+function configure(options = {}) {
+  if (options.googleKey !== undefined) googleKey = options.googleKey || null;
+  if (typeof options.checkGoogleUsage === 'function') checkGoogleUsage = options.checkGoogleUsage;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+// ============================================
+// GAZETTEER (local tier)
+// ============================================
+
+let gazetteer = null; // Map normalized name -> { name, lat, lng, source }
+let gazetteerBuiltAt = 0;
+let gazetteerBuild = null; // pending build, shared by lookups that arrive while it runs
+let derivedCampus = null; // mean of the last morning stops, refreshed with the gazetteer
+
+function approxDistanceMeters(a, b) {
+  const dLat = (a.lat - b.lat) * 111320;
+  const dLng = (a.lng - b.lng) * 111320 * Math.cos(a.lat * Math.PI / 180);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+}
+
+async function buildGazetteer() {
+  const index = new Map();
+
+  // Stops: one entry per distinct name; names used at clearly different places are skipped
+  const stops = await prisma.stop.findMany({ select: { name: true, lat: true, lng: true, period: true, order: true, busId: true } });
+  derivedCampus = campusFromStops(stops);
+  const groups = new Map();
+  for (const s of stops) {
+    const key = normalizeQuery(s.name);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  for (const [key, group] of groups) {
+    const first = group[0];
+    if (group.some(s => approxDistanceMeters(first, s) > STOP_CLUSTER_METERS)) continue;
+    const lat = group.reduce((acc, s) => acc + s.lat, 0) / group.length;
+    const lng = group.reduce((acc, s) => acc + s.lng, 0) / group.length;
+    index.set(key, { name: first.name, lat, lng, source: 'stop' });
+  }
+
+  // Landmarks override stops with the same name
+  if (prisma.landmark && typeof prisma.landmark.findMany === 'function') {
+    const landmarks = await prisma.landmark.findMany();
+    for (const l of landmarks) {
+      for (const label of [l.name, ...(l.aliases || [])]) {
+        const key = normalizeQuery(label);
+        if (key) index.set(key, { name: l.name, lat: l.lat, lng: l.lng, source: 'landmark' });
+      }
+    }
+  }
+  return index;
+}
+
+// Morning routes end at the campus: average each bus's last morning stop
+function campusFromStops(stops) {
+  const lastByBus = new Map();
+  for (const s of stops) {
+    if (s.period !== 'MORNING') continue;
+    const prev = lastByBus.get(s.busId);
+    if (!prev || s.order > prev.order) lastByBus.set(s.busId, s);
+  }
+  const ends = [...lastByBus.values()];
+  if (!ends.length) return null;
+  return {
+    lat: ends.reduce((acc, s) => acc + s.lat, 0) / ends.length,
+    lng: ends.reduce((acc, s) => acc + s.lng, 0) / ends.length
+  };
+}
+
+/**
+ * The gazetteer index, rebuilt when missing or older than GAZETTEER_TTL_MS. Concurrent
+ * lookups share one build; a build started before invalidateGazetteer() is not kept.
+ */
+function getGazetteer() {
+  if (gazetteer && Date.now() - gazetteerBuiltAt <= GAZETTEER_TTL_MS) return Promise.resolve(gazetteer);
+  if (!gazetteerBuild) {
+    const build = buildGazetteer().then((index) => {
+      if (gazetteerBuild === build) {
+        gazetteer = index;
+        gazetteerBuiltAt = Date.now();
+      }
+      return index;
+    });
+    gazetteerBuild = build;
+    const cleanup = () => { if (gazetteerBuild === build) gazetteerBuild = null; };
+    build.then(cleanup, cleanup);
+  }
+  return gazetteerBuild;
+}
+
+/** Drop the gazetteer index so the next lookup rebuilds it (after stop/landmark edits). */
+function invalidateGazetteer() {
+  gazetteer = null;
+  gazetteerBuild = null;
+}
+
+// Words that only narrow the region ("benz circle, vijayawada, andhra pradesh")
+function localityWords() {
+  const words = new Set(['india']);
+  for (const value of [process.env.GEOCODE_CITY, process.env.GEOCODE_STATE]) {
+    for (const w of normalizeQuery(value).split(' ')) if (w) words.add(w);
+  }
+  return words;
+}
+
+const gazetteerGeocoder = {
+  name: 'gazetteer',
+  local: true,
+  // Exact name (or alias) matches, ignoring city/state words in the query
+  async candidates(query) {
+    const index = await getGazetteer();
+    const key = normalizeQuery(query);
+    const locality = localityWords();
+    const stripped = key.split(' ').filter(w => !locality.has(w)).join(' ');
+    const hit = index.get(key) || (stripped ? index.get(stripped) : null);
+    if (!hit) return [];
+    const city = process.env.GEOCODE_CITY;
+    return [{ lat: hit.lat, lng: hit.lng, formatted_address: city ? `${hit.name}, ${city}` : hit.name, source: hit.source }];
+  }
+};
+
+/**
+ * Gazetteer entries whose name (or alias) starts with the query, or has a word that
+ * does; name-prefix matches first. Used for search-box suggestions.
+ * @returns {Array} [{ name, lat, lng, source }]
+ */
+async function searchGazetteer(query, limit = DEFAULT_CANDIDATE_LIMIT) {
+  const key = normalizeQuery(query);
+  if (!key) return [];
+  const index = await getGazetteer();
+  const prefix = [];
+  const word = [];
+  for (const [label, entry] of index) {
+    if (label.startsWith(key)) prefix.push(entry);
+    else if (label.includes(` ${key}`)) word.push(entry);
+  }
+  const seen = new Set();
+  return [...prefix, ...word].filter(e => !seen.has(e.name) && seen.add(e.name)).slice(0, limit);
+}
+
+// ============================================
+// REMOTE GEOCODERS
+// ============================================
+
+const googleGeocoder = {
+  name: 'google',
+  local: false,
+  // All results, those matching GEOCODE_STATE / GEOCODE_CITY first
+  candidates(locationName, limit) {
+    if (!googleKey) return Promise.resolve([]);
+    // Enforce daily usage limit for Google API calls
+    if (!checkGoogleUsage()) return Promise.resolve([]);
+
+    // Preprocess: If a state (administrative area) env is provided and not already in the query, append it
+    const statePref = process.env.GEOCODE_STATE || '';
+    const cityPref = process.env.GEOCODE_CITY || '';
+    let queryAugmented = locationName.trim();
+    if (statePref && !new RegExp(escapeRegExp(statePref), 'i').test(queryAugmented)) {
+      queryAugmented += `, ${statePref}`;
+    }
+    if (cityPref && !new RegExp(escapeRegExp(cityPref), 'i').test(queryAugmented) && /market|station|bus|stand|center|centre|college/i.test(queryAugmented)) {
+      // If query looks like a POI and city isn't present, append city
+      queryAugmented += `, ${cityPref}`;
+    }
+
+    const q = encodeURIComponent(queryAugmented);
+    const country = process.env.GEOCODE_COUNTRY || '';
+    const region = process.env.GEOCODE_REGION || '';
+    const components = [];
+    if (country) components.push(`country:${country}`);
+    // If statePref provided, include administrative_area component filter (Google supports 'administrative_area')
+    if (statePref) components.push(`administrative_area:${encodeURIComponent(statePref)}`);
+    if (cityPref) components.push(`locality:${encodeURIComponent(cityPref)}`);
+    let url = `https://maps.googleapis.com/maps/api/geocode/json?address=${q}&key=${googleKey}`;
+    if (components.length) url += `&components=${components.join('|')}`;
+    if (region) url += `&region=${region}`; // region bias (ccTLD style)
+
+    return new Promise((resolve, reject) => {
+      https.get(url, (res) => {
+        let body = '';
+        res.on('data', c => body += c);
+        res.on('end', () => {
+          try {
+            const j = JSON.parse(body);
+            if (j.status === 'OK' && Array.isArray(j.results) && j.results.length) {
+              const stateNorm = statePref ? statePref.toLowerCase() : '';
+              const cityNorm = cityPref ? cityPref.toLowerCase() : '';
+              // Prioritize: both state + city > state only > city only > Google's order
+              const score = (r) => {
+                const comps = Array.isArray(r.address_components) ? r.address_components : [];
+                const compNames = comps.map(c => c.long_name.toLowerCase());
+                const hasState = Boolean(stateNorm) && compNames.includes(stateNorm);
+                const hasCity = Boolean(cityNorm) && compNames.includes(cityNorm);
+                return (hasState ? 2 : 0) + (hasCity ? 1 : 0);
+              };
+              const ranked = j.results
+                .map((r, i) => ({ r, i, score: score(r) }))
+                .sort((a, b) => (b.score - a.score) || (a.i - b.i))
+                .slice(0, limit)
+                .map(({ r }) => ({ lat: r.geometry.location.lat, lng: r.geometry.location.lng, formatted_address: r.formatted_address }));
+              return resolve(ranked);
+            }
+            if (j.status === 'ZERO_RESULTS') return resolve([]);
+            return reject(new Error(`Geocode failed: ${j.status || 'NO_RESULTS'}`));
+          } catch (err) { reject(err); }
+        });
+      }).on('error', reject);
+    });
+  }
+};
+
+const nominatimGeocoder = {
+  name: 'nominatim',
+  local: false,
+  candidates(locationName, limit) {
+    return new Promise((resolve, reject) => {
+      try {
+        const q = encodeURIComponent(locationName);
+        const nomUrl = `https://nominatim.openstreetmap.org/search?q=${q}&format=json&limit=${limit}`;
+        const opts = new URL(nomUrl);
+        const reqOpts = { hostname: opts.hostname, path: opts.pathname + opts.search, method: 'GET', headers: { 'User-Agent': 'BusTransportApp/1.0' } };
+        https.get(reqOpts, (res) => {
+          let body = '';
+          res.on('data', c => body += c);
+          res.on('end', () => {
+            try {
+              const arr = JSON.parse(body);
+              if (!Array.isArray(arr)) return resolve([]);
+              return resolve(arr.map(r => ({ lat: parseFloat(r.lat), lng: parseFloat(r.lon), formatted_address: r.display_name })));
+            } catch (e) { return reject(e); }
+          });
+        }).on('error', (e) => reject(e));
+      } catch (e) { reject(e); }
+    });
+  }
+};
+
+const GEOCODERS = {
+  [gazetteerGeocoder.name]: gazetteerGeocoder,
+  [googleGeocoder.name]: googleGeocoder,
+  [nominatimGeocoder.name]: nominatimGeocoder
+};
+
+/**
+ * Configured geocoder chain; unknown names are ignored.
+ */
+function getGeocoderChain() {
+  const names = String(process.env.GEOCODER_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean);
+  const chain = [];
+  for (const name of names) {
+    if (!GEOCODERS[name]) {
+      logger.warn('Unknown geocoder ignored', { geocoder: name });
+      continue;
+    }
+    if (!chain.includes(GEOCODERS[name])) chain.push(GEOCODERS[name]);
+  }
+  return chain;
+}
+
+function isValidCandidate(c) {
+  return c && Number.isFinite(Number(c.lat)) && Number.isFinite(Number(c.lng));
+}
+
+/**
+ * Candidates for a place name from the first tier in the chain that finds any.
+ * @param {String} query
+ * @param {Object} options - { cache: { get(query), set(query, candidates) }, limit }
+ * @returns {Array} [{ lat, lng, formatted_address, provider, cached? }]
+ */
+async function geocodeCandidates(query, { cache, limit = DEFAULT_CANDIDATE_LIMIT } = {}) {
+  let cacheChecked = false;
+  for (const geocoder of getGeocoderChain()) {
+    if (!geocoder.local && cache && !cacheChecked) {
+      cacheChecked = true;
+      const hit = await cache.get(query);
+      if (hit && hit.length) return hit.slice(0, limit).map(c => ({ ...c, cached: true }));
+    }
+    try {
+      const found = (await geocoder.candidates(query, limit) || []).filter(isValidCandidate).slice(0, limit);
+      if (found.length) {
+        const out = found.map(c => ({ ...c, lat: Number(c.lat), lng: Number(c.lng), provider: geocoder.name }));
+        if (!geocoder.local && cache) await cache.set(query, out);
+        return out;
+      }
+    } catch (e) {
+      logger.warn('Geocoder failed, trying next', { geocoder: geocoder.name, error: e && e.message });
+    }
+  }
+  return [];
+}
+
+/**
+ * Best single result for a place name, or null: the top candidate after rankCandidates,
+ * so plausible matches near campus win over the geocoder's own first pick. Fetches the
+ * full candidate list so the cached entry can still serve /api/geocode disambiguation later.
+ */
+async function geocode(query, options = {}) {
+  const candidates = await geocodeCandidates(query, options);
+  if (!candidates.length) return null;
+  return rankCandidates(candidates, await getCampusLocation())[0];
+}
+
+/**
+ * Campus location used for ranking: CAMPUS_LAT/CAMPUS_LNG, else derived from stops.
+ */
+async function getCampusLocation() {
+  const lat = parseFloat(process.env.CAMPUS_LAT);
+  const lng = parseFloat(process.env.CAMPUS_LNG);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng };
+  try {
+    await getGazetteer();
+  } catch (e) {
+    logger.warn('Failed to derive campus location', { error: e && e.message });
+  }
+  return derivedCampus;
+}
+
+function haversineKm(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Rank candidates for disambiguation: drop near-duplicates, then plausible (near
+ * campus) before implausible, closest to campus first within each group. Adds
+ * `distanceFromCampusKm` and `plausible` to every candidate.
+ */
+function rankCandidates(candidates, campus) {
+  const plausibleKm = parseFloat(process.env.GEOCODE_PLAUSIBLE_RADIUS_KM) || 60;
+  const unique = [];
+  for (const c of candidates) {
+    if (unique.some(u => approxDistanceMeters(u, c) <= DUPLICATE_CANDIDATE_METERS)) continue;
+    unique.push(c);
+  }
+  return unique
+    .map((c, i) => {
+      const distanceFromCampusKm = campus ? Math.round(haversineKm(campus, c) * 10) / 10 : null;
+      return { ...c, distanceFromCampusKm, plausible: distanceFromCampusKm === null || distanceFromCampusKm <= plausibleKm, _order: i };
+    })
+    .sort((a, b) => (Number(b.plausible) - Number(a.plausible))
+      || ((a.distanceFromCampusKm ?? 0) - (b.distanceFromCampusKm ?? 0))
+      || (a._order - b._order))
+    .map(({ _order, ...c }) => c);
+}
+
+module.exports = {
+  configure,
+  geocode,
+  geocodeCandidates,
+  rankCandidates,
+  getCampusLocation,
+  getGeocoderChain,
+  searchGazetteer,
+  invalidateGazetteer,
+  GEOCODERS
+};
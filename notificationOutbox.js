@@ -0,0 +1,234 @@
+/**
+ * Notification outbox (`Notification` table)
+ *
+ * Messages to users are queued as rows first and delivered afterwards, so a slow or
+ * failing email/SMS service never blocks a request or a background job.
+ *
+ * - Messages are rendered from a template (notificationTemplates.js) when queued; the row
+ *   keeps the exact subject and body that is sent, and the template name in `kind`.
+ * - Channel is derived from the contact: email addresses go to EMAIL, anything else to SMS.
+ * - A `dedupeKey` makes enqueue idempotent: a second notification with the same key is skipped.
+ * - Delivery goes through one transport per channel (notificationTransports.js, chosen by
+ *   NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT, or set with `registerTransport`).
+ * - Lifecycle: PENDING -> SENT. A failed attempt sets FAILED and schedules a retry after
+ *   NOTIFY_RETRY_BASE_SECONDS * 2^(attempts - 1); after NOTIFY_MAX_ATTEMPTS the row becomes
+ *   DEAD (the dead-letter list in the admin dashboard) until an admin retries it.
+ * - Due rows are sent shortly after enqueueing and by a poller every
+ *   NOTIFY_POLL_INTERVAL_SECONDS (see `start`).
+ */
+
+const logger = require('./logger');
+const { prisma, hasDelegate } = require('./dbHelpers');
+const templates = require('./notificationTemplates');
+const { transportFor } = require('./notificationTransports');
+
+const CHANNELS = ['EMAIL', 'SMS'];
+const STATUSES = ['PENDING', 'FAILED', 'SENT', 'DEAD'];
+const DISPATCH_BATCH = 50;
+const DISPATCH_DELAY_MS = 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_SECONDS = parseFloat(process.env.NOTIFY_RETRY_BASE_SECONDS) || 60;
+const POLL_INTERVAL_SECONDS = parseFloat(process.env.NOTIFY_POLL_INTERVAL_SECONDS) || 30;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// channel -> { name, send({ recipient, subject, body }) }
+const transports = new Map();
+
+/**
+ * Use `transport` ({ name, send(message) }) for a channel instead of the configured one.
+ * send() throws on failure.
+ */
+function registerTransport(channel, transport) {
+  if (!CHANNELS.includes(channel)) throw new Error(`Unknown notification channel: ${channel}`);
+  if (!transport || typeof transport.send !== 'function') throw new Error('Transport must have a send() function');
+  transports.set(channel, transport);
+}
+
+function getTransport(channel) {
+  if (!transports.has(channel)) transports.set(channel, transportFor(channel));
+  return transports.get(channel);
+}
+
+/** Whether the channel's transport reaches recipients (smtp / http), not just a log or file. */
+function deliversTo(channel) {
+  return Boolean(getTransport(channel).external);
+}
+
+/** EMAIL for email addresses, SMS for anything else. */
+function channelFor(contact) {
+  return EMAIL_RE.test(String(contact || '').trim()) ? 'EMAIL' : 'SMS';
+}
+
+/** Delay before the next attempt after `attempts` failed ones. */
+function retryDelayMs(attempts) {
+  return RETRY_BASE_SECONDS * 1000 * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+let dispatchTimer = null;
+let dispatching = null; // promise of the running dispatch, so two runs never send the same row
+let pollTimer = null;
+
+/**
+ * Queue a templated message for a contact.
+ * @param {Object} message - { contact, template, data, dedupeKey? }
+ * @returns {Object|null} the queued row, or null when dedupeKey was already used
+ */
+async function enqueue({ contact, template, data = {}, dedupeKey = null }) {
+  const recipient = String(contact || '').trim();
+  if (!recipient) throw new Error('Notification recipient required');
+  const channel = channelFor(recipient);
+  const { subject, body } = templates.render(template, data, channel);
+  try {
+    const row = await prisma.notification.create({
+      data: { channel, recipient, subject, body, kind: template, dedupeKey }
+    });
+    scheduleDispatch();
+    return row;
+  } catch (e) {
+    if (e && e.code === 'P2002') return null; // dedupeKey already queued
+    throw e;
+  }
+}
+
+/**
+ * Queue without failing the caller: errors are logged. For flows where the
+ * notification is a side effect (request received, admin approved, ...).
+ */
+async function notify(message) {
+  try {
+    return await enqueue(message);
+  } catch (e) {
+    logger.warn('Failed to queue notification', { template: message && message.template, error: e && e.message });
+    return null;
+  }
+}
+
+/**
+ * Send up to DISPATCH_BATCH due notifications, oldest first. Joins the running
+ * dispatch instead of starting a second one.
+ * @returns {Object} { sent, failed, dead }
+ */
+function dispatchPending() {
+  if (!dispatching) {
+    dispatching = dispatchBatch().finally(() => { dispatching = null; });
+  }
+  return dispatching;
+}
+
+async function dispatchBatch() {
+  if (!hasDelegate(prisma.notification, 'findMany')) return { sent: 0, failed: 0, dead: 0 };
+  const due = await prisma.notification.findMany({
+    where: { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: DISPATCH_BATCH
+  });
+  const result = { sent: 0, failed: 0, dead: 0 };
+  for (const n of due) {
+    const transport = getTransport(n.channel);
+    const attempts = n.attempts + 1;
+    try {
+      await transport.send({ recipient: n.recipient, subject: n.subject, body: n.body });
+      await prisma.notification.update({
+        where: { id: n.id },
+        data: { status: 'SENT', attempts, transport: transport.name, sentAt: new Date(), error: null }
+      });
+      result.sent++;
+    } catch (e) {
+      const dead = attempts >= MAX_ATTEMPTS;
+      await prisma.notification.update({
+        where: { id: n.id },
+        data: {
+          status: dead ? 'DEAD' : 'FAILED',
+          attempts,
+          transport: transport.name,
+          error: String((e && e.message) || e).slice(0, 500),
+          nextAttemptAt: new Date(Date.now() + retryDelayMs(attempts))
+        }
+      });
+      logger.warn('Notification delivery failed', { id: n.id, channel: n.channel, transport: transport.name, attempts, dead, error: e && e.message });
+      if (dead) result.dead++;
+      else result.failed++;
+    }
+  }
+  if (due.length) logger.info('Notifications dispatched', result);
+  // More due than one batch: keep going after this run
+  if (due.length === DISPATCH_BATCH) scheduleDispatch();
+  return result;
+}
+
+// Deliver shortly after enqueueing; consecutive enqueues share one dispatch run
+function scheduleDispatch() {
+  if (dispatchTimer) return;
+  dispatchTimer = setTimeout(() => {
+    dispatchTimer = null;
+    dispatchPending().catch(e => logger.warn('Notification dispatch failed', { error: e && e.message }));
+  }, DISPATCH_DELAY_MS);
+}
+
+/** Start the poller that sends retries once they are due. */
+function start() {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => {
+    dispatchPending().catch(e => logger.warn('Notification dispatch failed', { error: e && e.message }));
+  }, POLL_INTERVAL_SECONDS * 1000);
+  if (pollTimer.unref) pollTimer.unref();
+  logger.info('Notification outbox started', {
+    email: getTransport('EMAIL').name,
+    sms: getTransport('SMS').name,
+    maxAttempts: MAX_ATTEMPTS,
+    pollSeconds: POLL_INTERVAL_SECONDS
+  });
+}
+
+// ============================================
+// ADMIN HELPERS
+// ============================================
+
+/**
+ * List notifications, newest first.
+ * @param {Object} options - { status, limit, offset }
+ * @returns {Object} { total, byStatus (all rows), notifications }
+ */
+async function list({ status, limit = 50, offset = 0 } = {}) {
+  const where = status ? { status } : {};
+  const [total, notifications, counts] = await Promise.all([
+    prisma.notification.count({ where }),
+    prisma.notification.findMany({ where, orderBy: { createdAt: 'desc' }, take: limit, skip: offset }),
+    prisma.notification.groupBy({ by: ['status'], _count: { _all: true } })
+  ]);
+  const byStatus = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  for (const c of counts) byStatus[c.status] = c._count._all;
+  return { total, byStatus, notifications };
+}
+
+/**
+ * Queue FAILED / DEAD notifications for immediate delivery with a fresh attempt count.
+ * @param {Object} where - { id } for one row; omitted retries every DEAD row
+ * @returns {Number} rows requeued
+ */
+async function retry({ id } = {}) {
+  const where = id ? { id, status: { in: ['FAILED', 'DEAD'] } } : { status: 'DEAD' };
+  const { count } = await prisma.notification.updateMany({
+    where,
+    data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() }
+  });
+  if (count) scheduleDispatch();
+  return count;
+}
+
+module.exports = {
+  CHANNELS,
+  STATUSES,
+  MAX_ATTEMPTS,
+  registerTransport,
+  deliversTo,
+  channelFor,
+  retryDelayMs,
+  enqueue,
+  notify,
+  dispatchPending,
+  start,
+  list,
+  retry
+};
@@ -0,0 +1,81 @@
+/**
+ * Notification templates for the outbox (see notificationOutbox.js)
+ *
+ * Each template has an email `subject` and `text`, and optionally a shorter `sms`
+ * (SMS falls back to `text`). Placeholders are `{{name}}`, filled from the data passed
+ * to enqueue; missing values render as an empty string.
+ */
+
+const TEMPLATES = {
+  'route-coverage': {
+    subject: 'Bus {{busNumber}} now runs near {{place}}',
+    text: 'Good news: you asked for a college bus near {{place}}. Bus {{busNumber}} ({{busName}}) now passes within {{distanceMeters}} m of it on its {{period}} route.{{stopSentence}} Check the routes on the website for timings.',
+    sms: 'Bus {{busNumber}} now passes within {{distanceMeters}} m of {{place}} ({{period}} route).{{stopSentence}}'
+  },
+  'bus-request-received': {
+    subject: 'We received your bus request',
+    text: 'Thank you for requesting a college bus near {{location}}. Your request #{{requestId}} will be reviewed by the transport team, and we will let you know when its status changes.',
+    sms: 'Bus request #{{requestId}} received for {{location}}. We will update you when it is reviewed.'
+  },
+  'bus-request-status': {
+    subject: 'Your bus request is now {{statusLabel}}',
+    text: 'Your request #{{requestId}} for a college bus near {{location}} is now {{statusLabel}}. {{statusMessage}}',
+    sms: 'Bus request #{{requestId}} ({{location}}) is now {{statusLabel}}.'
+  },
+  'contact-verification': {
+    subject: 'Your verification code: {{code}}',
+    text: 'Your verification code for the college bus service is {{code}}. It expires in {{minutes}} minutes. If you did not ask for it, ignore this message.',
+    sms: 'Your bus service verification code is {{code}}. It expires in {{minutes}} minutes.'
+  },
+  'admin-signup-pending': {
+    subject: 'New admin signup request: {{name}}',
+    text: '{{name}} ({{email}}) asked for admin access. Review the request under Admin Requests in the admin dashboard.'
+  },
+  'admin-approved': {
+    subject: 'Your admin access was approved',
+    text: 'Hello {{name}}, your request for admin access was approved. You can now sign in to the admin dashboard with {{email}}.'
+  },
+  'admin-rejected': {
+    subject: 'Your admin access request',
+    text: 'Hello {{name}}, your request for admin access with {{email}} was not approved.'
+  },
+  announcement: {
+    subject: '{{subject}}',
+    text: '{{message}}'
+  }
+};
+
+// Text sent for each bus request status change (bus-request-status template)
+const REQUEST_STATUS_MESSAGES = {
+  UNDER_REVIEW: 'The transport team is looking at demand in your area.',
+  PLANNED: 'A route through your area is planned. We will tell you once it runs.',
+  FULFILLED: 'A bus now serves your area. Check the routes on the website for stops and timings.',
+  DECLINED: 'We cannot add a route through your area at the moment.'
+};
+
+function fill(str, data) {
+  return String(str || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => {
+    const v = data[key];
+    return v === undefined || v === null ? '' : String(v);
+  });
+}
+
+/**
+ * Render a template for a channel.
+ * @param {String} name - template name
+ * @param {Object} data - placeholder values
+ * @param {String} channel - 'EMAIL' | 'SMS'
+ * @returns {Object} { subject, body } (subject null for SMS)
+ */
+function render(name, data = {}, channel = 'EMAIL') {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+  if (channel === 'SMS') return { subject: null, body: fill(template.sms || template.text, data) };
+  return { subject: fill(template.subject, data), body: fill(template.text, data) };
+}
+
+module.exports = {
+  TEMPLATES,
+  REQUEST_STATUS_MESSAGES,
+  render
+};
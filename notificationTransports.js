@@ -0,0 +1,146 @@
+/**
+ * Delivery transports for the notification outbox
+ *
+ * Every transport is `{ name, send({ recipient, subject, body }) }`; send() rejects when
+ * the message was not accepted, which makes the outbox retry it later. Transports that
+ * actually reach the recipient (smtp, http) also have `external: true`.
+ *
+ *   console - writes the message to the application log (default, no outside service)
+ *   file    - appends one JSON line per message to NOTIFY_FILE_PATH (default ./notifications.log)
+ *   smtp    - EMAIL through nodemailer: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER,
+ *             SMTP_PASS, SMTP_FROM
+ *   http    - SMS through a generic HTTP gateway: POSTs SMS_GATEWAY_BODY (JSON with {{to}} and
+ *             {{message}} placeholders, default {"to":"{{to}}","message":"{{message}}"}) to
+ *             SMS_GATEWAY_URL, with an optional SMS_GATEWAY_AUTH header value ("Bearer ...").
+ *             Any 2xx response counts as accepted.
+ *
+ * Chosen per channel by NOTIFY_EMAIL_TRANSPORT (console | file | smtp) and
+ * NOTIFY_SMS_TRANSPORT (console | file | http).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const logger = require('./logger');
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    logger.info('Notification (console transport)', message);
+  }
+};
+
+function fileTransport() {
+  const file = process.env.NOTIFY_FILE_PATH || path.join(__dirname, 'notifications.log');
+  return {
+    name: 'file',
+    async send(message) {
+      const line = JSON.stringify({ at: new Date().toISOString(), ...message });
+      await fs.promises.appendFile(file, `${line}\n`, 'utf-8');
+    }
+  };
+}
+
+function smtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is required for the smtp transport');
+  // Loaded only when SMTP is configured
+  const nodemailer = require('nodemailer');
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: String(process.env.SMTP_SECURE).toLowerCase() === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+  return {
+    name: 'smtp',
+    external: true,
+    async send({ recipient, subject, body }) {
+      await mailer.sendMail({ from, to: recipient, subject: subject || '', text: body });
+    }
+  };
+}
+
+// JSON-escape a value for use inside a JSON string template
+function jsonString(value) {
+  return JSON.stringify(String(value)).slice(1, -1);
+}
+
+function postJson(url, payload, headers) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers }
+    }, res => {
+      let body = '';
+      res.on('data', c => body += c);
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(body);
+        else reject(new Error(`SMS gateway responded ${res.statusCode}: ${body.slice(0, 200)}`));
+      });
+    });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error('SMS gateway request timed out')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+function httpSmsTransport() {
+  const url = process.env.SMS_GATEWAY_URL;
+  if (!url) throw new Error('SMS_GATEWAY_URL is required for the http transport');
+  const template = process.env.SMS_GATEWAY_BODY || '{"to":"{{to}}","message":"{{message}}"}';
+  const headers = process.env.SMS_GATEWAY_AUTH ? { Authorization: process.env.SMS_GATEWAY_AUTH } : {};
+  return {
+    name: 'http',
+    external: true,
+    async send({ recipient, body }) {
+      const payload = template
+        .replace(/\{\{\s*to\s*\}\}/g, jsonString(recipient))
+        .replace(/\{\{\s*message\s*\}\}/g, jsonString(body));
+      await postJson(url, payload, headers);
+    }
+  };
+}
+
+const FACTORIES = {
+  EMAIL: { console: () => consoleTransport, file: fileTransport, smtp: smtpTransport },
+  SMS: { console: () => consoleTransport, file: fileTransport, http: httpSmsTransport }
+};
+
+// Stands in for a transport that cannot be set up: every send fails, so the messages
+// are retried and end up in the dead-letter list instead of being marked sent
+function unavailableTransport(name, reason) {
+  return {
+    name,
+    async send() {
+      throw new Error(reason);
+    }
+  };
+}
+
+/**
+ * Transport for a channel from NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT.
+ */
+function transportFor(channel) {
+  const name = String(process.env[`NOTIFY_${channel}_TRANSPORT`] || 'console').trim().toLowerCase();
+  const factory = FACTORIES[channel] && FACTORIES[channel][name];
+  if (!factory) {
+    logger.warn('Unknown notification transport', { channel, transport: name });
+    return unavailableTransport(name, `Unknown ${channel} transport "${name}"`);
+  }
+  try {
+    return factory();
+  } catch (e) {
+    logger.warn('Notification transport not configured', { channel, transport: name, error: e && e.message });
+    return unavailableTransport(name, e && e.message);
+  }
+}
+
+module.exports = {
+  consoleTransport,
+  transportFor
+};
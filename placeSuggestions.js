@@ -0,0 +1,121 @@
+/**
+ * Place suggestions for the public search box (`GET /api/places/suggest?q=`)
+ *
+ * Merges, in this order and without duplicate labels:
+ *   1. stop names and landmarks from the local gazetteer (see geocoders.js)
+ *   2. places from earlier successful searches for a typed place name (`AvailabilityLog`
+ *      rows with locationSource geocoder / candidate). Coordinate and GPS searches are never
+ *      suggested: their reverse-geocoded labels are other users' addresses.
+ *   3. the configured geocoder chain, only when the local sources found too few
+ *      and the query is at least PLACE_SUGGEST_MIN_REMOTE_CHARS long
+ *
+ * Every suggestion is `{ label, lat, lng, source }` where source is 'stop',
+ * 'landmark', 'history' or the geocoder that answered.
+ */
+
+const logger = require('./logger');
+const { prisma, hasDelegate, locationPlaceName } = require('./dbHelpers');
+const geocoders = require('./geocoders');
+const { normalizeQuery } = require('./geocodeCache');
+
+const DEFAULT_LIMIT = 8;
+const HISTORY_SCAN_LIMIT = 200; // recent matching log rows inspected per query
+const MIN_LOCAL_BEFORE_REMOTE = 3; // ask the geocoder only when local sources found fewer
+const MIN_REMOTE_CHARS = parseInt(process.env.PLACE_SUGGEST_MIN_REMOTE_CHARS, 10) || 4;
+
+// Remote lookup injected by server.js so it shares the GeocodeCache-backed chain
+let remoteCandidates = null;
+
+/**
+ * @param {Object} options - { geocodeCandidates: (query) => Promise<Array> }
+ */
+function configure(options = {}) {
+  if (typeof options.geocodeCandidates === 'function') remoteCandidates = options.geocodeCandidates;
+}
+
+// Place name of a logged search; null when the location was only coordinates
+function historyLabel(location) {
+  const label = locationPlaceName(location);
+  if (!label || /^\s*-?\d+(\.\d+)?\s*,\s*-?\d+(\.\d+)?\s*$/.test(label)) return null;
+  return label;
+}
+
+async function historySuggestions(query, limit) {
+  if (!hasDelegate(prisma.availabilityLog, 'findMany')) return [];
+  const rows = await prisma.availabilityLog.findMany({
+    where: {
+      location: { contains: query, mode: 'insensitive' },
+      locationSource: { in: ['geocoder', 'candidate'] },
+      lat: { not: null },
+      lng: { not: null }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: HISTORY_SCAN_LIMIT,
+    select: { location: true, lat: true, lng: true }
+  });
+  // Most searched first; the latest coordinates represent each place
+  const byLabel = new Map();
+  for (const r of rows) {
+    const label = historyLabel(r.location);
+    if (!label) continue;
+    const key = normalizeQuery(label);
+    const entry = byLabel.get(key);
+    if (entry) entry.count++;
+    else byLabel.set(key, { label, lat: r.lat, lng: r.lng, count: 1 });
+  }
+  return [...byLabel.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ label, lat, lng }) => ({ label, lat, lng, source: 'history' }));
+}
+
+/**
+ * Suggestions for a partial place name.
+ * @param {String} query
+ * @param {Object} options - { limit }
+ * @returns {Array} [{ label, lat, lng, source }]
+ */
+async function suggest(query, { limit = DEFAULT_LIMIT } = {}) {
+  const q = String(query || '').trim();
+  if (!normalizeQuery(q)) return [];
+
+  const out = [];
+  const seen = new Set();
+  const add = (s) => {
+    const key = normalizeQuery(s.label);
+    if (!key || seen.has(key) || out.length >= limit) return;
+    seen.add(key);
+    out.push(s);
+  };
+
+  try {
+    const city = process.env.GEOCODE_CITY;
+    for (const e of await geocoders.searchGazetteer(q, limit)) {
+      add({ label: city ? `${e.name}, ${city}` : e.name, lat: e.lat, lng: e.lng, source: e.source });
+    }
+  } catch (e) {
+    logger.warn('Gazetteer suggestions failed', { error: e && e.message });
+  }
+
+  try {
+    for (const s of await historySuggestions(q, limit)) add(s);
+  } catch (e) {
+    logger.warn('History suggestions failed', { error: e && e.message });
+  }
+
+  if (remoteCandidates && out.length < MIN_LOCAL_BEFORE_REMOTE && q.length >= MIN_REMOTE_CHARS) {
+    try {
+      for (const c of await remoteCandidates(q)) {
+        if (c.formatted_address) add({ label: c.formatted_address, lat: c.lat, lng: c.lng, source: c.provider });
+      }
+    } catch (e) {
+      logger.warn('Geocoder suggestions failed', { error: e && e.message });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  configure,
+  suggest
+};
@@ -0,0 +1,158 @@
+/**
+ * Polyline helpers for cached bus routes
+ *
+ * - decodePolyline / encodePolyline: Google encoded-polyline format (precision 5,
+ *   also used by OSRM). Encoding rounds to 1e-5 degrees, i.e. at most ~0.8m per point.
+ * - simplifyPath: Douglas–Peucker simplification with a tolerance in meters. Every
+ *   dropped vertex lies within `toleranceMeters` of the simplified line, so the
+ *   distance from any location to the route changes by at most that tolerance.
+ * - distancesAlongPath: how far along a route each of an ordered list of points
+ *   (e.g. its stops) lies, for interpolating stop times.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+// Worst-case error added by rounding coordinates to 1e-5 degrees (half-step diagonal, rounded up)
+const ENCODING_ERROR_METERS = 1;
+
+/**
+ * Decode an encoded polyline string (Google / OSRM precision 5) -> [{lat, lng}, ...]
+ */
+function decodePolyline(encoded) {
+  if (!encoded) return [];
+  let index = 0, lat = 0, lng = 0, coords = [];
+  while (index < encoded.length) {
+    let shift = 0, result = 0, b;
+    do { b = encoded.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    shift = 0; result = 0;
+    do { b = encoded.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+
+    coords.push({ lat: lat * 1e-5, lng: lng * 1e-5 });
+  }
+  return coords;
+}
+
+function encodeSigned(value) {
+  let v = value < 0 ? ~(value << 1) : (value << 1);
+  let out = '';
+  while (v >= 0x20) {
+    out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return out + String.fromCharCode(v + 63);
+}
+
+/**
+ * Encode [{lat, lng}, ...] -> encoded polyline string (precision 5)
+ */
+function encodePolyline(points) {
+  let prevLat = 0, prevLng = 0, out = '';
+  for (const p of points || []) {
+    const lat = Math.round(Number(p.lat) * 1e5);
+    const lng = Math.round(Number(p.lng) * 1e5);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) continue;
+    out += encodeSigned(lat - prevLat) + encodeSigned(lng - prevLng);
+    prevLat = lat; prevLng = lng;
+  }
+  return out;
+}
+
+// Local equirectangular projection (meters) around a reference latitude; accurate
+// enough for the short distances involved in simplifying a city bus route
+function projector(refLat) {
+  const kx = EARTH_RADIUS_METERS * Math.cos(refLat * Math.PI / 180) * Math.PI / 180;
+  const ky = EARTH_RADIUS_METERS * Math.PI / 180;
+  return p => ({ x: p.lng * kx, y: p.lat * ky });
+}
+
+function segmentDistance(p, a, b) {
+  const dx = b.x - a.x; const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  let t = len2 === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2;
+  t = Math.max(0, Math.min(1, t));
+  const cx = a.x + t * dx - p.x; const cy = a.y + t * dy - p.y;
+  return Math.sqrt(cx * cx + cy * cy);
+}
+
+/**
+ * Douglas–Peucker simplification.
+ * @param {Array} points - [{lat, lng}, ...]
+ * @param {Number} toleranceMeters - max distance of any dropped vertex from the result
+ * @returns {Array} simplified [{lat, lng}, ...] (first and last points always kept)
+ */
+function simplifyPath(points, toleranceMeters) {
+  const pts = (points || []).filter(p => !Number.isNaN(Number(p.lat)) && !Number.isNaN(Number(p.lng)));
+  if (pts.length <= 2 || !(toleranceMeters > 0)) return pts.slice();
+
+  const project = projector(pts.reduce((acc, p) => acc + Number(p.lat), 0) / pts.length);
+  const xy = pts.map(p => project({ lat: Number(p.lat), lng: Number(p.lng) }));
+  const keep = new Uint8Array(pts.length);
+  keep[0] = 1; keep[pts.length - 1] = 1;
+
+  // Iterative to stay safe on routes with thousands of vertices
+  const stack = [[0, pts.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0; let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistance(xy[i], xy[first], xy[last]);
+      if (d > maxDist) { maxDist = d; index = i; }
+    }
+    if (index !== -1 && maxDist > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return pts.filter((_, i) => keep[i]);
+}
+
+/**
+ * Distance along the path (meters from its start) of each point's projection onto it.
+ * Points are matched in order and never before the previous one, so a route that
+ * passes the same place twice still gets increasing distances.
+ * @param {Array} path - [{lat, lng}, ...]
+ * @param {Array} points - ordered [{lat, lng}, ...] near the path
+ * @returns {Array} meters along the path, one per point (null when the path is empty)
+ */
+function distancesAlongPath(path, points) {
+  const pts = (path || []).filter(p => !Number.isNaN(Number(p.lat)) && !Number.isNaN(Number(p.lng)));
+  if (!pts.length) return (points || []).map(() => null);
+
+  const project = projector(pts.reduce((acc, p) => acc + Number(p.lat), 0) / pts.length);
+  const xy = pts.map(p => project({ lat: Number(p.lat), lng: Number(p.lng) }));
+  // Cumulative length at each vertex
+  const cumulative = [0];
+  for (let i = 1; i < xy.length; i++) {
+    cumulative.push(cumulative[i - 1] + Math.hypot(xy[i].x - xy[i - 1].x, xy[i].y - xy[i - 1].y));
+  }
+
+  let fromSegment = 0;
+  let fromT = 0;
+  return (points || []).map(point => {
+    const p = project({ lat: Number(point.lat), lng: Number(point.lng) });
+    if (xy.length === 1) return 0;
+    let best = { dist: Infinity, along: cumulative[fromSegment], segment: fromSegment, t: fromT };
+    for (let i = fromSegment; i < xy.length - 1; i++) {
+      const a = xy[i]; const b = xy[i + 1];
+      const dx = b.x - a.x; const dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      let t = len2 === 0 ? 0 : ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2;
+      t = Math.max(i === fromSegment ? fromT : 0, Math.min(1, t));
+      const d = Math.hypot(a.x + t * dx - p.x, a.y + t * dy - p.y);
+      if (d < best.dist) best = { dist: d, along: cumulative[i] + t * Math.sqrt(len2), segment: i, t };
+    }
+    fromSegment = best.segment;
+    fromT = best.t;
+    return best.along;
+  });
+}
+
+module.exports = {
+  decodePolyline,
+  encodePolyline,
+  simplifyPath,
+  distancesAlongPath,
+  ENCODING_ERROR_METERS
+};
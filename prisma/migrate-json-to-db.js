@@ -1,9 +1,7 @@
-const { PrismaClient } = require('@prisma/client');
+const { prisma } = require('../dbHelpers');
 const fs = require('fs');
 const path = require('path');
 
-const prisma = new PrismaClient();
-
 async function migrateData() {
   console.log('Starting migration from JSON files to database...\n');
 
@@ -36,66 +34,11 @@ async function migrateData() {
       console.log('⚠ settings.json not found, skipping...');
     }
 
-    // 2. Migrate Route Cache
-    console.log('\n2. Migrating route cache...');
-    const routeCachePath = path.join(__dirname, '..', 'route_cache.json');
-    if (fs.existsSync(routeCachePath)) {
-      const routeCache = JSON.parse(fs.readFileSync(routeCachePath, 'utf8'));
-      let migratedCount = 0;
-
-      for (const [busNumber, routes] of Object.entries(routeCache)) {
-        // Find the bus by number
-        const bus = await prisma.bus.findUnique({
-          where: { number: busNumber }
-        });
-
-        if (bus) {
-          // Migrate morning route
-          if (routes.morningRoute && Array.isArray(routes.morningRoute) && routes.morningRoute.length > 0) {
-            await prisma.routeCache.upsert({
-              where: {
-                busId_period: {
-                  busId: bus.id,
-                  period: 'MORNING'
-                }
-              },
-              update: {
-                routeData: routes.morningRoute
-              },
-              create: {
-                busId: bus.id,
-                period: 'MORNING',
-                routeData: routes.morningRoute
-              }
-            });
-            migratedCount++;
-          }
-
-          // Migrate evening route
-          if (routes.eveningRoute && Array.isArray(routes.eveningRoute) && routes.eveningRoute.length > 0) {
-            await prisma.routeCache.upsert({
-              where: {
-                busId_period: {
-                  busId: bus.id,
-                  period: 'EVENING'
-                }
-              },
-              update: {
-                routeData: routes.eveningRoute
-              },
-              create: {
-                busId: bus.id,
-                period: 'EVENING',
-                routeData: routes.eveningRoute
-              }
-            });
-            migratedCount++;
-          }
-        } else {
-          console.log(`  ⚠ Bus ${busNumber} not found in database, skipping...`);
-        }
-      }
-      console.log(`✓ Migrated ${migratedCount} route cache entries`);
+    // 2. Route cache - not imported: route_cache.json does not record which stops its
+    // routes were built from, so the server rebuilds every route from the current stops
+    console.log('\n2. Checking route cache...');
+    if (fs.existsSync(path.join(__dirname, '..', 'route_cache.json'))) {
+      console.log('  Note: route_cache.json is not migrated; routes are rebuilt from bus stops on server startup');
     } else {
       console.log('⚠ route_cache.json not found, skipping...');
     }
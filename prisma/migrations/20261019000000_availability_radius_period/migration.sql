@@ -0,0 +1,6 @@
+-- AlterTable AvailabilityLog - record the search radius and period used for each check
+ALTER TABLE "AvailabilityLog" ADD COLUMN "radiusKm" DOUBLE PRECISION;
+ALTER TABLE "AvailabilityLog" ADD COLUMN "period" TEXT;
+
+-- AlterTable SiteSettings - admin-configured upper bound for caller-supplied radius
+ALTER TABLE "SiteSettings" ADD COLUMN "maxSearchRadiusKm" DOUBLE PRECISION NOT NULL DEFAULT 5;
@@ -0,0 +1,4 @@
+-- AlterTable RouteCache - fingerprint of the stops each route was built from and the provider used.
+-- Existing rows have no fingerprint and are treated as cache misses until rebuilt.
+ALTER TABLE "RouteCache" ADD COLUMN "stopsHash" TEXT;
+ALTER TABLE "RouteCache" ADD COLUMN "provider" TEXT;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "GeocodeKind" AS ENUM ('FORWARD', 'REVERSE');
+
+-- CreateTable GeocodeCache - persistent geocode results shared across restarts
+CREATE TABLE "GeocodeCache" (
+    "id" SERIAL NOT NULL,
+    "kind" "GeocodeKind" NOT NULL,
+    "queryKey" TEXT NOT NULL,
+    "lat" DOUBLE PRECISION,
+    "lng" DOUBLE PRECISION,
+    "formattedAddress" TEXT,
+    "provider" TEXT,
+    "hits" INTEGER NOT NULL DEFAULT 0,
+    "lastHitAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "corrected" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GeocodeCache_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GeocodeCache_kind_queryKey_key" ON "GeocodeCache"("kind", "queryKey");
+
+-- CreateIndex
+CREATE INDEX "GeocodeCache_expiresAt_idx" ON "GeocodeCache"("expiresAt");
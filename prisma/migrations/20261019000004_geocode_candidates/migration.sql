@@ -0,0 +1,2 @@
+-- AlterTable GeocodeCache - keep every forward-geocode candidate for disambiguation
+ALTER TABLE "GeocodeCache" ADD COLUMN "candidates" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable SiteSettings - admin-defined service area (GeoJSON Polygon / MultiPolygon)
+ALTER TABLE "SiteSettings" ADD COLUMN "serviceArea" JSONB;
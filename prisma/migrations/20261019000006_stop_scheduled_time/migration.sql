@@ -0,0 +1,2 @@
+-- AlterTable Stop - optional scheduled time per stop ("HH:MM"); missing times are interpolated
+ALTER TABLE "Stop" ADD COLUMN "scheduledTime" TEXT;
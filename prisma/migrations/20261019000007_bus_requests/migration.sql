@@ -0,0 +1,58 @@
+-- CreateEnum
+CREATE TYPE "BusRequestStatus" AS ENUM ('NEW', 'UNDER_REVIEW', 'PLANNED', 'FULFILLED', 'DECLINED');
+
+-- CreateTable BusRequest - "request a bus" submissions, triaged by admins
+CREATE TABLE "BusRequest" (
+    "id" SERIAL NOT NULL,
+    "logId" INTEGER,
+    "contact" TEXT NOT NULL,
+    "location" TEXT NOT NULL,
+    "lat" DOUBLE PRECISION,
+    "lng" DOUBLE PRECISION,
+    "period" TEXT,
+    "status" "BusRequestStatus" NOT NULL DEFAULT 'NEW',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BusRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable BusRequestComment - admin comments and status changes on a request
+CREATE TABLE "BusRequestComment" (
+    "id" SERIAL NOT NULL,
+    "requestId" INTEGER NOT NULL,
+    "author" TEXT NOT NULL,
+    "body" TEXT NOT NULL DEFAULT '',
+    "fromStatus" "BusRequestStatus",
+    "toStatus" "BusRequestStatus",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BusRequestComment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BusRequest_logId_key" ON "BusRequest"("logId");
+
+-- CreateIndex
+CREATE INDEX "BusRequest_status_createdAt_idx" ON "BusRequest"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "BusRequestComment_requestId_createdAt_idx" ON "BusRequestComment"("requestId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "BusRequest" ADD CONSTRAINT "BusRequest_logId_fkey" FOREIGN KEY ("logId") REFERENCES "AvailabilityLog"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BusRequestComment" ADD CONSTRAINT "BusRequestComment_requestId_fkey" FOREIGN KEY ("requestId") REFERENCES "BusRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Migrate data: rows stored with the legacy "__REQ__YES__||" location prefix become
+-- requested=true with the prefix stripped (starts_with, since "_" is a LIKE wildcard)
+UPDATE "AvailabilityLog"
+SET "requested" = true, "location" = substring("location" from 15)
+WHERE starts_with("location", '__REQ__YES__||');
+
+-- Migrate data: one NEW request per requested availability check that found no bus
+INSERT INTO "BusRequest" ("logId", "contact", "location", "lat", "lng", "period", "status", "createdAt", "updatedAt")
+SELECT "id", "contact", "location", "lat", "lng", "period", 'NEW', "createdAt", "createdAt"
+FROM "AvailabilityLog"
+WHERE "requested" = true AND "status" = 'UNAVAILABLE';
@@ -0,0 +1,10 @@
+-- AlterEnum NotificationStatus - dead-letter status for notifications that exhausted their retries
+ALTER TYPE "NotificationStatus" ADD VALUE 'DEAD';
+
+-- AlterTable Notification - retry bookkeeping. Existing FAILED rows become due immediately.
+ALTER TABLE "Notification" ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Notification" ADD COLUMN "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE "Notification" ADD COLUMN "transport" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Notification_status_nextAttemptAt_idx" ON "Notification"("status", "nextAttemptAt");
@@ -0,0 +1,23 @@
+-- AlterTable AvailabilityLog - whether the check's contact was verified with a one-time code
+ALTER TABLE "AvailabilityLog" ADD COLUMN "contactVerified" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable ContactVerification - one-time codes and the tokens issued for them
+CREATE TABLE "ContactVerification" (
+    "id" SERIAL NOT NULL,
+    "contact" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "verifiedAt" TIMESTAMP(3),
+    "tokenHash" TEXT,
+    "tokenExpiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactVerification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ContactVerification_tokenHash_key" ON "ContactVerification"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "ContactVerification_contact_createdAt_idx" ON "ContactVerification"("contact", "createdAt");
@@ -0,0 +1,2 @@
+-- CreateIndex AvailabilityLog - demand analytics filters by status and date range
+CREATE INDEX "AvailabilityLog_status_createdAt_idx" ON "AvailabilityLog"("status", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable AvailabilityLog - how the location was resolved. Existing rows stay NULL, so
+-- place suggestions never offer labels of earlier searches whose origin is unknown.
+ALTER TABLE "AvailabilityLog" ADD COLUMN "locationSource" TEXT;
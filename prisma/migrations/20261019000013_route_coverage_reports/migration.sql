@@ -0,0 +1,22 @@
+-- CreateTable RouteCoverageReport - one row per route coverage run, listed in the admin API
+CREATE TABLE "RouteCoverageReport" (
+    "id" SERIAL NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "busNumbers" TEXT[],
+    "checkedLogs" INTEGER NOT NULL DEFAULT 0,
+    "coveredLogs" INTEGER NOT NULL DEFAULT 0,
+    "coveredRequests" INTEGER NOT NULL DEFAULT 0,
+    "contacts" INTEGER NOT NULL DEFAULT 0,
+    "queued" INTEGER NOT NULL DEFAULT 0,
+    "alreadyNotified" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "byBus" JSONB NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RouteCoverageReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RouteCoverageReport_createdAt_idx" ON "RouteCoverageReport"("createdAt");
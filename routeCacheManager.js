@@ -1,135 +1,406 @@
-const { PrismaClient } = require('@prisma/client');
-const prisma = new PrismaClient();
+/**
+ * Unified route polyline cache
+ *
+ * Single source of truth for cached bus route polylines, used by server.js, the
+ * debug endpoints and the maintenance scripts (autoMigrate, migrate-json-to-db).
+ *
+ * Tiers:
+ *   1. Memory - Map busId -> { morningRoute, eveningRoute, encoded, stopsHash, providers, builtAt }
+ *      plus a spatial index over the polylines for fast availability lookups.
+ *   2. Database - `RouteCache` table (one row per bus + period), survives restarts.
+ *
+ * Routes are simplified (Douglas–Peucker, ROUTE_SIMPLIFY_TOLERANCE_METERS) and stored
+ * as Google encoded polylines. The memory tier keeps the decoded form of exactly what
+ * is stored, so a route never deviates from the provider's path by more than
+ * MAX_DEVIATION_METERS (tolerance + encoding rounding), before or after a restart.
+ *
+ * Invalidation is keyed to the stop set: every cached route carries `stopsHash`,
+ * a SHA-256 fingerprint of the ordered stop coordinates it was built from, plus
+ * the routing provider that produced it. A lookup whose current fingerprint does
+ * not match is a miss, so unchanged routes never need rebuilding. Age-based expiry
+ * is optional (ROUTE_CACHE_REFRESH_HOURS, 0 = off). Admin edits call `refreshBus`
+ * (rebuild one bus) or `invalidateBus` (bus deleted) directly.
+ *
+ * Route building itself (Google Directions, straight-line fallback) is injected
+ * by server.js through `configure({ buildRoutes })`.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { prisma, hasDelegate } = require('./dbHelpers');
+const { RouteSpatialIndex } = require('./routeSpatialIndex');
+const { decodePolyline, encodePolyline, simplifyPath, ENCODING_ERROR_METERS } = require('./polylineUtils');
 
-const ROUTE_CACHE_REFRESH_HOURS = 2;
+// Optional age-based expiry on top of fingerprint invalidation (0 / unset = never expire)
+const ROUTE_CACHE_REFRESH_HOURS = parseFloat(process.env.ROUTE_CACHE_REFRESH_HOURS) || 0;
+const ROUTE_BUILD_COOLDOWN_MS = parseInt(process.env.ROUTE_BUILD_COOLDOWN_MS || '300000', 10); // default 5 minutes
+const ROUTE_SIMPLIFY_TOLERANCE_METERS = process.env.ROUTE_SIMPLIFY_TOLERANCE_METERS !== undefined
+  ? Math.max(0, parseFloat(process.env.ROUTE_SIMPLIFY_TOLERANCE_METERS) || 0)
+  : 5;
+const MAX_DEVIATION_METERS = ROUTE_SIMPLIFY_TOLERANCE_METERS + ENCODING_ERROR_METERS;
+const PERIODS = { MORNING: 'morningRoute', EVENING: 'eveningRoute' };
+
+const memory = new Map();
+const spatialIndex = new RouteSpatialIndex({ cellDeg: parseFloat(process.env.ROUTE_INDEX_CELL_DEG) || undefined });
+
+let buildRoutes = null;
+let onRebuilt = null;
 
 /**
- * Get route from cache (database)
+ * Inject the route builder:
+ * async (bus with stops) => { morningRoute, eveningRoute, providers?: { MORNING, EVENING } }
+ * and optionally `onRebuilt: async (busIds, { force }) => {}`, called after a full
+ * rebuild with the buses whose routes were built again.
  */
-async function getRouteFromCache(busId, period) {
-  try {
-    const cached = await prisma.routeCache.findUnique({
-      where: {
-        busId_period: {
-          busId: parseInt(busId),
-          period: period.toUpperCase()
-        }
-      }
-    });
+function configure(options = {}) {
+  if (typeof options.buildRoutes === 'function') buildRoutes = options.buildRoutes;
+  if (typeof options.onRebuilt === 'function') onRebuilt = options.onRebuilt;
+}
 
-    if (!cached) {
-      return null;
-    }
+// ============================================
+// STOP FINGERPRINTS
+// ============================================
 
-    // Check if cache is older than ROUTE_CACHE_REFRESH_HOURS
-    const cacheAge = Date.now() - cached.updatedAt.getTime();
-    const maxAge = ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000;
+function orderedStops(bus, period) {
+  return (bus.stops || []).filter(s => s.period === period).sort((a, b) => a.order - b.order);
+}
 
-    if (cacheAge > maxAge) {
-      console.log(`[RouteCache] Cache expired for bus ${busId} ${period}, needs refresh`);
-      return null; // Force refresh
-    }
+/**
+ * SHA-256 of the ordered stop coordinates of one period of a bus.
+ */
+function stopsHashFor(bus, period) {
+  const coords = orderedStops(bus, period).map(s => `${Number(s.lat).toFixed(6)},${Number(s.lng).toFixed(6)}`).join('|');
+  return crypto.createHash('sha256').update(coords).digest('hex');
+}
+
+/** Fingerprints of both periods: { MORNING, EVENING } */
+function stopsHashesFor(bus) {
+  const out = {};
+  for (const period of Object.keys(PERIODS)) out[period] = stopsHashFor(bus, period);
+  return out;
+}
+
+function isExpired(timestamp) {
+  if (!ROUTE_CACHE_REFRESH_HOURS) return false;
+  return Date.now() - new Date(timestamp).getTime() > ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000;
+}
+
+// ============================================
+// ENCODED STORAGE
+// ============================================
+
+/**
+ * Simplify and encode a path. Returns the encoded string and its decoded form.
+ */
+function compactPath(path) {
+  const encoded = encodePolyline(simplifyPath(Array.isArray(path) ? path : [], ROUTE_SIMPLIFY_TOLERANCE_METERS));
+  return { encoded, path: decodePolyline(encoded) };
+}
+
+/**
+ * Compact both periods of freshly built routes:
+ * { morningRoute, eveningRoute, encoded: { MORNING, EVENING }, providers }
+ */
+function compactRoutes(routes) {
+  const out = { encoded: {}, providers: routes.providers };
+  for (const [period, key] of Object.entries(PERIODS)) {
+    const { encoded, path } = compactPath(routes[key]);
+    out[key] = path;
+    out.encoded[period] = encoded;
+  }
+  return out;
+}
+
+// routeData holds the encoded polyline; rows written before encoding hold a point array
+function decodeRouteData(routeData) {
+  if (typeof routeData === 'string') return { path: decodePolyline(routeData), encoded: routeData };
+  if (Array.isArray(routeData)) return { path: routeData, encoded: encodePolyline(routeData) };
+  return null;
+}
+
+// ============================================
+// MEMORY TIER
+// ============================================
+
+function setMemory(busId, routes, stopsHash, builtAt = Date.now()) {
+  const entry = {
+    morningRoute: routes.morningRoute || [],
+    eveningRoute: routes.eveningRoute || [],
+    encoded: { MORNING: '', EVENING: '', ...(routes.encoded || {}) },
+    stopsHash,
+    providers: { MORNING: null, EVENING: null, ...(routes.providers || {}) },
+    builtAt
+  };
+  memory.set(busId, entry);
+  spatialIndex.setBusRoutes(busId, entry);
+  return entry;
+}
+
+function dropMemory(busId) {
+  memory.delete(busId);
+  spatialIndex.removeBus(busId);
+}
+
+/**
+ * Candidate buses whose cached routes may pass within radiusMeters of center.
+ * @returns {Map<Number, Set<String>>} busId -> candidate periods
+ */
+function queryCandidates(center, radiusMeters) {
+  return spatialIndex.query(center, radiusMeters);
+}
+
+/** Ids of all buses with routes in the memory tier. */
+function indexedBusIds() {
+  return spatialIndex.indexedBusIds();
+}
+
+// ============================================
+// DATABASE TIER
+// ============================================
 
-    return cached.routeData;
-  } catch (error) {
-    console.error('[RouteCache] Error reading from cache:', error);
-    return null;
+async function readFromDb(bus, stopsHash) {
+  if (!hasDelegate(prisma.routeCache, 'findMany')) return null;
+  const rows = await prisma.routeCache.findMany({ where: { busId: bus.id } });
+  const out = { providers: {}, encoded: {} };
+  let builtAt = Date.now();
+  for (const [period, key] of Object.entries(PERIODS)) {
+    const row = rows.find(r => r.period === period);
+    const data = row && decodeRouteData(row.routeData);
+    if (!data) return null;
+    if (row.stopsHash !== stopsHash[period]) return null; // built from a different stop set
+    if (isExpired(row.updatedAt)) return null;
+    out[key] = data.path;
+    out.encoded[period] = data.encoded;
+    out.providers[period] = row.provider || null;
+    builtAt = Math.min(builtAt, new Date(row.updatedAt).getTime());
   }
+  return { routes: out, builtAt };
 }
 
 /**
- * Save route to cache (database)
+ * Persist both periods of a bus (with stops) to the RouteCache table as encoded
+ * polylines, stamped with the bus's current stop fingerprints.
+ * @param {Object} bus - bus record including stops
+ * @param {Object} routes - { morningRoute, eveningRoute, encoded?, providers?: { MORNING, EVENING } };
+ *   routes without `encoded` are simplified and encoded first
  */
-async function saveRouteToCache(busId, period, routeData) {
+async function persistRoutes(bus, routes) {
+  if (!hasDelegate(prisma.routeCache, 'upsert')) return false;
+  const stopsHash = stopsHashesFor(bus);
+  const providers = routes.providers || {};
+  const encoded = routes.encoded || compactRoutes(routes).encoded;
   try {
-    await prisma.routeCache.upsert({
-      where: {
-        busId_period: {
-          busId: parseInt(busId),
-          period: period.toUpperCase()
-        }
-      },
-      update: {
-        routeData: routeData,
-        updatedAt: new Date()
-      },
-      create: {
-        busId: parseInt(busId),
-        period: period.toUpperCase(),
-        routeData: routeData
-      }
-    });
-    console.log(`[RouteCache] Saved route for bus ${busId} ${period}`);
-  } catch (error) {
-    console.error('[RouteCache] Error saving to cache:', error);
+    for (const period of Object.keys(PERIODS)) {
+      const data = {
+        routeData: encoded[period] || '',
+        stopsHash: stopsHash[period],
+        provider: providers[period] || null
+      };
+      await prisma.routeCache.upsert({
+        where: { busId_period: { busId: bus.id, period } },
+        update: { ...data, updatedAt: new Date() },
+        create: { busId: bus.id, period, ...data }
+      });
+    }
+    return true;
+  } catch (e) {
+    logger.warn('Failed to persist route cache', { busId: bus.id, error: e && e.message });
+    return false;
   }
 }
 
+// ============================================
+// PUBLIC CACHE API
+// ============================================
+
 /**
- * Clear expired cache entries (older than ROUTE_CACHE_REFRESH_HOURS)
+ * Cached routes for a bus (with stops), or null on a miss in both tiers.
  */
-async function clearExpiredCache() {
+async function getRoutes(bus) {
+  const stopsHash = stopsHashesFor(bus);
+  const hit = memory.get(bus.id);
+  const matches = hit && Object.keys(PERIODS).every(p => hit.stopsHash[p] === stopsHash[p]);
+  if (matches && !isExpired(hit.builtAt)) return hit;
+  if (hit) dropMemory(bus.id); // stale: stops changed or entry expired
+
   try {
-    const expiryTime = new Date(Date.now() - ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000);
-    
-    const result = await prisma.routeCache.deleteMany({
-      where: {
-        updatedAt: {
-          lt: expiryTime
-        }
-      }
-    });
+    const fromDb = await readFromDb(bus, stopsHash);
+    if (fromDb) return setMemory(bus.id, fromDb.routes, stopsHash, fromDb.builtAt);
+  } catch (e) {
+    logger.warn('Route cache DB read failed', { busId: bus.id, error: e && e.message });
+  }
+  return null;
+}
 
-    if (result.count > 0) {
-      console.log(`[RouteCache] Cleared ${result.count} expired cache entries`);
-    }
-  } catch (error) {
-    console.error('[RouteCache] Error clearing expired cache:', error);
+/**
+ * Store freshly built routes for a bus in both tiers (simplified and encoded).
+ */
+async function setRoutes(bus, routes) {
+  const entry = setMemory(bus.id, compactRoutes(routes), stopsHashesFor(bus));
+  await persistRoutes(bus, entry);
+  return entry;
+}
+
+/**
+ * Build (via the configured builder) and store routes for one bus.
+ */
+async function rebuildBus(bus) {
+  if (!buildRoutes) throw new Error('Route builder not configured');
+  const routes = await buildRoutes(bus);
+  return setRoutes(bus, routes);
+}
+
+/**
+ * Cached routes for a bus, building them on a miss.
+ */
+async function ensureRoutes(bus) {
+  const cached = await getRoutes(bus);
+  if (cached) return cached;
+  return rebuildBus(bus);
+}
+
+/**
+ * Drop a bus from both tiers (e.g. after its stops were edited or it was deleted).
+ */
+async function invalidateBus(busId) {
+  dropMemory(busId);
+  if (!hasDelegate(prisma.routeCache, 'deleteMany')) return;
+  try {
+    await prisma.routeCache.deleteMany({ where: { busId } });
+  } catch (e) {
+    logger.warn('Failed to invalidate route cache rows', { busId, error: e && e.message });
   }
 }
 
+// busId -> promise of the latest queued per-bus refresh
+const inFlight = new Map();
+
 /**
- * Get all cached routes for a bus
+ * Invalidate one bus and rebuild only its routes from the current stops.
+ * Refreshes of the same bus run one after another so a quick second edit is
+ * never overwritten by the older build. Resolves to the new entry, or null
+ * when the bus no longer exists.
  */
-async function getAllRoutesForBus(busId) {
+function refreshBus(busId) {
+  const previous = inFlight.get(busId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(async () => {
+    await invalidateBus(busId);
+    const bus = await prisma.bus.findUnique({ where: { id: busId }, include: { stops: true } });
+    if (!bus) return null;
+    return rebuildBus(bus);
+  });
+  inFlight.set(busId, run);
+  const cleanup = () => { if (inFlight.get(busId) === run) inFlight.delete(busId); };
+  run.then(cleanup, cleanup);
+  return run;
+}
+
+/**
+ * Rebuild routes for every bus. With force=false, buses with a valid cached
+ * entry in either tier are kept and only misses are built. The rebuilt buses
+ * are then passed to the configured `onRebuilt`.
+ */
+async function rebuildAll({ force = false } = {}) {
   try {
-    const routes = await prisma.routeCache.findMany({
-      where: {
-        busId: parseInt(busId)
+    logger.info('Building route polylines (may use Google Directions API)', { force });
+    const buses = await prisma.bus.findMany({ include: { stops: true } });
+    // Drop memory entries for buses that no longer exist
+    const liveIds = new Set(buses.map(b => b.id));
+    for (const id of [...memory.keys()]) {
+      if (!liveIds.has(id)) dropMemory(id);
+    }
+    const builtIds = [];
+    for (const b of buses) {
+      try {
+        if (!force && await getRoutes(b)) continue;
+        await rebuildBus(b);
+        builtIds.push(b.id);
+      } catch (e) {
+        logger.warn('Failed building route for bus', { busId: b.id, error: e && e.message });
       }
-    });
-
-    return {
-      morningRoute: routes.find(r => r.period === 'MORNING')?.routeData || null,
-      eveningRoute: routes.find(r => r.period === 'EVENING')?.routeData || null
-    };
-  } catch (error) {
-    console.error('[RouteCache] Error getting routes for bus:', error);
-    return { morningRoute: null, eveningRoute: null };
+    }
+    logger.info('Finished building route polylines', { built: builtIds.length, cached: memory.size });
+    if (onRebuilt && builtIds.length) await onRebuilt(builtIds, { force });
+  } catch (e) {
+    logger.error('Failed to build route polylines', { error: e && e.message });
   }
 }
 
+// ============================================
+// REBUILD SCHEDULER
+// ============================================
+
+let lastRebuildTs = 0;
+let rebuildTimer = null;
+let pendingForce = false;
+let refreshInterval = null;
+
 /**
- * Initialize periodic cache cleanup (runs every 2 hours)
+ * Debounced full rebuild. `immediate` skips the cooldown; `force` rebuilds
+ * buses that still have a valid cached route.
  */
-function initializeRouteCacheCleanup() {
-  // Clear expired cache immediately on startup
-  clearExpiredCache();
+function scheduleRebuild({ immediate = false, force = false } = {}) {
+  try {
+    if (rebuildTimer) {
+      clearTimeout(rebuildTimer);
+      rebuildTimer = null;
+    }
+    pendingForce = pendingForce || force;
+    const since = Date.now() - lastRebuildTs;
+    const delay = immediate ? 0 : Math.max(0, ROUTE_BUILD_COOLDOWN_MS - since);
+    rebuildTimer = setTimeout(async () => {
+      rebuildTimer = null;
+      lastRebuildTs = Date.now();
+      const runForce = pendingForce;
+      pendingForce = false;
+      logger.info('Scheduled: starting route polylines build', { force: runForce });
+      await rebuildAll({ force: runForce });
+    }, delay);
+    logger.debug('Route cache rebuild scheduled', { immediate, force: pendingForce, delay });
+  } catch (e) {
+    logger.warn('Failed to schedule route cache rebuild', { error: e && e.message });
+  }
+}
 
-  // Schedule periodic cleanup every 2 hours
-  setInterval(() => {
-    console.log('[RouteCache] Running scheduled cache cleanup...');
-    clearExpiredCache();
-  }, ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000);
+/**
+ * Periodic refresh every ROUTE_CACHE_REFRESH_HOURS. Only expired or mismatched
+ * routes are rebuilt; does nothing when age-based expiry is disabled.
+ */
+function startPeriodicRefresh() {
+  if (refreshInterval) return;
+  if (!ROUTE_CACHE_REFRESH_HOURS) {
+    logger.info('Route cache periodic refresh disabled (fingerprint invalidation only)');
+    return;
+  }
+  refreshInterval = setInterval(() => scheduleRebuild({ immediate: true }), ROUTE_CACHE_REFRESH_HOURS * 60 * 60 * 1000);
+  logger.info('Route cache periodic refresh initialized', { hours: ROUTE_CACHE_REFRESH_HOURS });
+}
 
-  console.log(`[RouteCache] Initialized with ${ROUTE_CACHE_REFRESH_HOURS}h refresh interval`);
+function stats() {
+  return { cachedBuses: memory.size, indexedBuses: spatialIndex.size, lastRebuildAt: lastRebuildTs ? new Date(lastRebuildTs).toISOString() : null };
 }
 
 module.exports = {
-  getRouteFromCache,
-  saveRouteToCache,
-  clearExpiredCache,
-  getAllRoutesForBus,
-  initializeRouteCacheCleanup,
-  ROUTE_CACHE_REFRESH_HOURS
+  configure,
+  stopsHashFor,
+  stopsHashesFor,
+
+  // Cache access
+  getRoutes,
+  setRoutes,
+  ensureRoutes,
+  rebuildBus,
+  invalidateBus,
+  refreshBus,
+  persistRoutes,
+  queryCandidates,
+  indexedBusIds,
+  stats,
+
+  // Scheduling
+  rebuildAll,
+  scheduleRebuild,
+  startPeriodicRefresh,
+  ROUTE_CACHE_REFRESH_HOURS,
+  MAX_DEVIATION_METERS
 };
@@ -0,0 +1,196 @@
+/**
+ * Route coverage notifications
+ *
+ * After a bus's routes change, past "request a bus" checks that found nothing
+ * (AvailabilityLog rows with requested = true and status UNAVAILABLE, from the last
+ * ROUTE_COVERAGE_LOOKBACK_DAYS) are checked again against the bus's current polylines.
+ * A check is covered when the route passes within the radius it was searched with,
+ * for the period it asked about.
+ *
+ * Each covered contact gets one notification per bus through the notification outbox
+ * (dedupe key `route-coverage:<bus>:<contact>`), so later edits of the same bus do not
+ * notify them again. A report of every run is logged and stored in the
+ * RouteCoverageReport table; only the latest ROUTE_COVERAGE_REPORTS_KEPT (default 200)
+ * rows are kept.
+ *
+ * Distance helpers are injected by server.js through `configure({ distanceToPath, nearestStop })`.
+ */
+
+const logger = require('./logger');
+const { prisma, locationPlaceName } = require('./dbHelpers');
+const routeCache = require('./routeCacheManager');
+const outbox = require('./notificationOutbox');
+
+const LOOKBACK_DAYS = parseFloat(process.env.ROUTE_COVERAGE_LOOKBACK_DAYS) || 180;
+const REPORTS_KEPT = parseInt(process.env.ROUTE_COVERAGE_REPORTS_KEPT, 10) || 200;
+const SCAN_LIMIT = 5000; // most recent matching log rows checked per run
+const DEFAULT_RADIUS_KM = parseFloat(process.env.SEARCH_RADIUS_KM) || 1.5;
+
+let distanceToPath = null; // (userLocation, path) => { minDist } in meters
+let nearestStop = null; // (userLocation, stops) => { name, distanceMeters } | null
+
+/**
+ * @param {Object} options - { distanceToPath, nearestStop }
+ */
+function configure(options = {}) {
+  if (typeof options.distanceToPath === 'function') distanceToPath = options.distanceToPath;
+  if (typeof options.nearestStop === 'function') nearestStop = options.nearestStop;
+}
+
+function periodsFor(logPeriod) {
+  if (logPeriod === 'MORNING' || logPeriod === 'EVENING') return [logPeriod];
+  return ['MORNING', 'EVENING'];
+}
+
+// Cached polyline of one period, else straight lines between its stops
+function routePath(bus, routes, period) {
+  const stops = bus.stops.filter(s => s.period === period).sort((a, b) => a.order - b.order);
+  const cached = routes && routes[period === 'MORNING' ? 'morningRoute' : 'eveningRoute'];
+  const path = cached && cached.length ? cached : stops.map(s => ({ lat: s.lat, lng: s.lng }));
+  return { stops, path };
+}
+
+// Data for the route-coverage notification template
+function notificationData(bus, log, match) {
+  const place = locationPlaceName(log.location) || 'your location';
+  return {
+    place,
+    busNumber: bus.number,
+    busName: bus.name,
+    distanceMeters: Math.round(match.distanceMeters),
+    period: match.period === 'MORNING' ? 'morning' : 'evening',
+    stopSentence: match.nearestStop ? ` The nearest stop is ${match.nearestStop.name}, about ${Math.round(match.nearestStop.distanceMeters)} m away.` : ''
+  };
+}
+
+/**
+ * Re-check past unserved requests against the routes of the given buses and queue
+ * notifications for the ones now covered.
+ * @param {Array<Number>|null} busIds - buses whose routes changed; null checks every bus
+ * @param {Object} options - { trigger } recorded in the report
+ * @returns {Object} report { id (null when it could not be stored), trigger, busNumbers, checkedLogs, coveredLogs, coveredRequests,
+ *   contacts, queued, alreadyNotified, failed, byBus: { [busNumber]: coveredLogs }, startedAt, finishedAt }
+ */
+async function checkBuses(busIds, { trigger = 'manual' } = {}) {
+  if (!distanceToPath) throw new Error('Route coverage not configured');
+  const startedAt = new Date();
+  const buses = await prisma.bus.findMany({
+    where: busIds ? { id: { in: busIds } } : undefined,
+    include: { stops: true }
+  });
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const logs = buses.length ? await prisma.availabilityLog.findMany({
+    where: { requested: true, status: 'UNAVAILABLE', lat: { not: null }, lng: { not: null }, contact: { not: '' }, createdAt: { gte: since } },
+    orderBy: { createdAt: 'desc' },
+    take: SCAN_LIMIT,
+    include: { busRequest: { select: { id: true } } }
+  }) : [];
+
+  const report = {
+    id: null,
+    trigger,
+    busNumbers: buses.map(b => b.number),
+    checkedLogs: logs.length,
+    coveredLogs: 0,
+    coveredRequests: 0,
+    contacts: 0,
+    queued: 0,
+    alreadyNotified: 0,
+    failed: 0,
+    byBus: {},
+    startedAt: startedAt.toISOString(),
+    finishedAt: null
+  };
+
+  const coveredLogIds = new Set();
+  const coveredRequestIds = new Set();
+  const contacts = new Set();
+  for (const bus of buses) {
+    let routes = null;
+    try {
+      routes = await routeCache.ensureRoutes(bus);
+    } catch (e) {
+      logger.warn('Route cache lookup failed, using straight-line stops', { busId: bus.id, error: e && e.message });
+    }
+    const periods = { MORNING: routePath(bus, routes, 'MORNING'), EVENING: routePath(bus, routes, 'EVENING') };
+    // Logs are newest first, so each contact is told about its latest covered search
+    const notified = new Set();
+    let busCovered = 0;
+    for (const log of logs) {
+      const userLocation = { lat: log.lat, lng: log.lng };
+      const radiusMeters = (log.radiusKm || DEFAULT_RADIUS_KM) * 1000;
+      let match = null;
+      for (const period of periodsFor(log.period)) {
+        const { stops, path } = periods[period];
+        if (!path.length) continue;
+        const { minDist } = distanceToPath(userLocation, path);
+        if (Number.isFinite(minDist) && minDist <= radiusMeters && (!match || minDist < match.distanceMeters)) {
+          match = { period, distanceMeters: minDist, nearestStop: nearestStop ? nearestStop(userLocation, stops) : null };
+        }
+      }
+      if (!match) continue;
+      busCovered++;
+      coveredLogIds.add(log.id);
+      if (log.busRequest) coveredRequestIds.add(log.busRequest.id);
+      const contactKey = log.contact.trim().toLowerCase();
+      contacts.add(contactKey);
+      if (notified.has(contactKey)) continue;
+      notified.add(contactKey);
+      try {
+        const queued = await outbox.enqueue({
+          contact: log.contact,
+          template: 'route-coverage',
+          data: notificationData(bus, log, match),
+          dedupeKey: `route-coverage:${bus.number}:${contactKey}`
+        });
+        if (queued) report.queued++;
+        else report.alreadyNotified++;
+      } catch (e) {
+        report.failed++;
+        logger.warn('Failed to queue route coverage notification', { logId: log.id, error: e && e.message });
+      }
+    }
+    report.byBus[bus.number] = busCovered;
+  }
+
+  report.coveredLogs = coveredLogIds.size;
+  report.coveredRequests = coveredRequestIds.size;
+  report.contacts = contacts.size;
+  report.finishedAt = new Date().toISOString();
+  await saveReport(report);
+  logger.info('Route coverage check finished', report);
+  return report;
+}
+
+// Store a report (setting its id) and drop rows beyond REPORTS_KEPT. A failed write
+// is only logged; the notifications of the run are already queued.
+async function saveReport(report) {
+  try {
+    const { id, ...data } = report;
+    const row = await prisma.routeCoverageReport.create({ data, select: { id: true } });
+    report.id = row.id;
+    const oldest = await prisma.routeCoverageReport.findMany({
+      orderBy: { id: 'desc' },
+      skip: REPORTS_KEPT,
+      take: 1,
+      select: { id: true }
+    });
+    if (oldest.length) await prisma.routeCoverageReport.deleteMany({ where: { id: { lte: oldest[0].id } } });
+  } catch (e) {
+    logger.warn('Failed to store route coverage report', { error: e && e.message });
+  }
+}
+
+/**
+ * Latest stored reports, newest first.
+ * @param {Object} options - { limit } (default 20)
+ */
+async function recentReports({ limit = 20 } = {}) {
+  return prisma.routeCoverageReport.findMany({ orderBy: { id: 'desc' }, take: limit });
+}
+
+module.exports = {
+  configure,
+  checkBuses,
+  recentReports
+};
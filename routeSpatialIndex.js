@@ -0,0 +1,137 @@
+/**
+ * In-process grid index over cached route polylines.
+ *
+ * Every segment of a bus's morning/evening route is bucketed into the fixed-size
+ * lat/lng grid cells its bounding box overlaps. An availability query then only
+ * needs to look at the cells covered by the search circle's bounding box to get
+ * the buses whose routes *may* pass within the radius; exact distances are still
+ * computed by the caller. The lookup is conservative: it never drops a bus that
+ * actually intersects, it only filters out buses that are clearly too far away.
+ */
+
+const METERS_PER_DEG_LAT = 110000; // slightly under the true ~110.6km so the query box is never too small
+const DEFAULT_CELL_DEG = 0.01; // ~1.1km cells
+const MAX_CELLS_PER_SEGMENT = 2500; // very long straight-line segments are kept in an "always check" list
+
+function cellKey(x, y) { return `${x}:${y}`; }
+
+class RouteSpatialIndex {
+  constructor(options = {}) {
+    this.cellDeg = Number(options.cellDeg) > 0 ? Number(options.cellDeg) : DEFAULT_CELL_DEG;
+    this.cells = new Map(); // cellKey -> Map(busId -> Set(period))
+    this.busCells = new Map(); // busId -> Set(cellKey) for fast removal
+    this.oversized = new Map(); // busId -> Set(period) for segments spanning too many cells
+  }
+
+  _cellOf(lat, lng) {
+    return { x: Math.floor(lng / this.cellDeg), y: Math.floor(lat / this.cellDeg) };
+  }
+
+  _add(busId, period, key) {
+    let bucket = this.cells.get(key);
+    if (!bucket) { bucket = new Map(); this.cells.set(key, bucket); }
+    let periods = bucket.get(busId);
+    if (!periods) { periods = new Set(); bucket.set(busId, periods); }
+    periods.add(period);
+    this.busCells.get(busId).add(key);
+  }
+
+  _indexPath(busId, period, path) {
+    const pts = (path || [])
+      .map(p => ({ lat: Number(p.lat), lng: Number(p.lng) }))
+      .filter(p => !Number.isNaN(p.lat) && !Number.isNaN(p.lng));
+    if (pts.length === 0) return;
+    // A single-point route is indexed as a zero-length segment
+    const segments = pts.length === 1 ? [[pts[0], pts[0]]] : pts.slice(0, -1).map((p, i) => [p, pts[i + 1]]);
+    for (const [a, b] of segments) {
+      const min = this._cellOf(Math.min(a.lat, b.lat), Math.min(a.lng, b.lng));
+      const max = this._cellOf(Math.max(a.lat, b.lat), Math.max(a.lng, b.lng));
+      if ((max.x - min.x + 1) * (max.y - min.y + 1) > MAX_CELLS_PER_SEGMENT) {
+        if (!this.oversized.has(busId)) this.oversized.set(busId, new Set());
+        this.oversized.get(busId).add(period);
+        continue;
+      }
+      for (let x = min.x; x <= max.x; x++) {
+        for (let y = min.y; y <= max.y; y++) this._add(busId, period, cellKey(x, y));
+      }
+    }
+  }
+
+  /**
+   * Replace the indexed routes of one bus.
+   * @param {Number} busId
+   * @param {Object} routes - { morningRoute: [{lat,lng}], eveningRoute: [{lat,lng}] }
+   */
+  setBusRoutes(busId, routes) {
+    this.removeBus(busId);
+    this.busCells.set(busId, new Set());
+    if (!routes) return;
+    this._indexPath(busId, 'MORNING', routes.morningRoute);
+    this._indexPath(busId, 'EVENING', routes.eveningRoute);
+  }
+
+  /** Drop all segments of a bus from the index. */
+  removeBus(busId) {
+    const keys = this.busCells.get(busId);
+    if (keys) {
+      for (const key of keys) {
+        const bucket = this.cells.get(key);
+        if (!bucket) continue;
+        bucket.delete(busId);
+        if (bucket.size === 0) this.cells.delete(key);
+      }
+    }
+    this.busCells.delete(busId);
+    this.oversized.delete(busId);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.busCells.clear();
+    this.oversized.clear();
+  }
+
+  /** True when the bus has been indexed (even if its routes are empty). */
+  has(busId) {
+    return this.busCells.has(busId);
+  }
+
+  /** Ids of all indexed buses. */
+  indexedBusIds() {
+    return [...this.busCells.keys()];
+  }
+
+  get size() {
+    return this.busCells.size;
+  }
+
+  /**
+   * Candidate buses whose routes may pass within radiusMeters of center.
+   * @returns {Map<Number, Set<String>>} busId -> set of candidate periods
+   */
+  query(center, radiusMeters) {
+    const lat = Number(center.lat); const lng = Number(center.lng);
+    const dLat = (radiusMeters / METERS_PER_DEG_LAT) * 1.1;
+    const maxAbsLat = Math.min(89, Math.abs(lat) + dLat);
+    const dLng = (radiusMeters / (METERS_PER_DEG_LAT * Math.cos(maxAbsLat * Math.PI / 180))) * 1.1;
+    const min = this._cellOf(lat - dLat, lng - dLng);
+    const max = this._cellOf(lat + dLat, lng + dLng);
+
+    const out = new Map();
+    const merge = (busId, periods) => {
+      if (!out.has(busId)) out.set(busId, new Set());
+      for (const p of periods) out.get(busId).add(p);
+    };
+    for (let x = min.x; x <= max.x; x++) {
+      for (let y = min.y; y <= max.y; y++) {
+        const bucket = this.cells.get(cellKey(x, y));
+        if (!bucket) continue;
+        for (const [busId, periods] of bucket) merge(busId, periods);
+      }
+    }
+    for (const [busId, periods] of this.oversized) merge(busId, periods);
+    return out;
+  }
+}
+
+module.exports = { RouteSpatialIndex };
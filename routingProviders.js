@@ -0,0 +1,219 @@
+/**
+ * Routing providers for bus route polylines
+ *
+ * Each provider turns an ordered list of points (origin, waypoints..., destination)
+ * into a road-following path of {lat, lng} points:
+ *
+ *   { name, route(points) -> Promise<Array|null> }
+ *
+ * A provider resolves null when it is not usable right now (no API key, daily
+ * quota exhausted) and rejects on request errors; either way the chain moves on
+ * to the next provider. `straight-line` never fails and always ends the chain.
+ *
+ * Configuration (env):
+ *   ROUTING_PROVIDERS  - comma-separated chain, default "google,osrm,straight-line"
+ *   OSRM_BASE_URL      - base URL of an OSRM-compatible server (e.g. http://localhost:5000);
+ *                        the osrm provider is skipped when unset
+ *   OSRM_PROFILE       - OSRM profile segment, default "driving"
+ *   ROUTING_MAX_WAYPOINTS - intermediate waypoints per request, default 8. Longer
+ *                        stop lists are split into chunks that share their end
+ *                        points, each routed (and falling back) on its own, and
+ *                        the chunk paths are stitched into one continuous path.
+ */
+
+const http = require('http');
+const https = require('https');
+const logger = require('./logger');
+const { decodePolyline } = require('./polylineUtils');
+
+const DEFAULT_CHAIN = 'google,osrm,straight-line';
+const REQUEST_TIMEOUT_MS = 15000;
+const DEFAULT_MAX_WAYPOINTS = 8; // Directions requests with more waypoints get rejected on many plans
+const STITCH_TOLERANCE_METERS = 25; // chunk seams closer than this are merged into one point
+
+let googleKey = null;
+let checkGoogleUsage = () => true;
+
+/**
+ * Inject the Google key and the shared daily usage counter from server.js.
+ * @param {Object} options - { googleKey, checkGoogleUsage: () => boolean }
+ */
+function configure(options = {}) {
+  if (options.googleKey !== undefined) googleKey = options.googleKey || null;
+  if (typeof options.checkGoogleUsage === 'function') checkGoogleUsage = options.checkGoogleUsage;
+}
+
+function getJson(url) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers: { 'User-Agent': 'BusTransportApp/1.0' } }, res => {
+      let body = '';
+      res.on('data', c => body += c);
+      res.on('end', () => {
+        try { resolve(JSON.parse(body)); } catch (e) { reject(e); }
+      });
+    });
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error('Routing request timed out')));
+    req.on('error', reject);
+  });
+}
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+const googleProvider = {
+  name: 'google',
+  async route(points) {
+    if (!googleKey) return null;
+    // Enforce daily usage limit for Google API calls
+    if (!checkGoogleUsage()) return null;
+
+    const o = points[0];
+    const d = points[points.length - 1];
+    const wpStr = points.slice(1, -1).map(p => `${p.lat},${p.lng}`).join('|');
+    const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${o.lat},${o.lng}&destination=${d.lat},${d.lng}&key=${googleKey}&mode=driving${wpStr ? `&waypoints=${encodeURIComponent(wpStr)}` : ''}`;
+
+    const j = await getJson(url);
+    if (j.status === 'OK' && j.routes && j.routes[0] && j.routes[0].overview_polyline) {
+      // The overview polyline contains HUNDREDS of mini points along the actual road
+      return decodePolyline(j.routes[0].overview_polyline.points);
+    }
+    throw new Error(`Google Directions returned ${j.status || 'no route'}`);
+  }
+};
+
+const osrmProvider = {
+  name: 'osrm',
+  async route(points) {
+    const base = (process.env.OSRM_BASE_URL || '').replace(/\/+$/, '');
+    if (!base) return null;
+    const profile = process.env.OSRM_PROFILE || 'driving';
+    // OSRM takes lng,lat pairs separated by ';'
+    const coords = points.map(p => `${p.lng},${p.lat}`).join(';');
+    const url = `${base}/route/v1/${encodeURIComponent(profile)}/${coords}?overview=full&geometries=polyline`;
+
+    const j = await getJson(url);
+    if (j.code === 'Ok' && j.routes && j.routes[0] && j.routes[0].geometry) {
+      return decodePolyline(j.routes[0].geometry);
+    }
+    throw new Error(`OSRM returned ${j.code || 'no route'}`);
+  }
+};
+
+const straightLineProvider = {
+  name: 'straight-line',
+  async route(points) {
+    return points.map(p => ({ lat: +p.lat, lng: +p.lng }));
+  }
+};
+
+const PROVIDERS = {
+  [googleProvider.name]: googleProvider,
+  [osrmProvider.name]: osrmProvider,
+  [straightLineProvider.name]: straightLineProvider
+};
+
+/**
+ * Configured provider chain; unknown names are ignored and straight-line is
+ * always appended so routing can never fail outright.
+ */
+function getProviderChain() {
+  const names = String(process.env.ROUTING_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(n => n.trim().toLowerCase())
+    .filter(Boolean);
+  const chain = [];
+  for (const name of names) {
+    if (!PROVIDERS[name]) {
+      logger.warn('Unknown routing provider ignored', { provider: name });
+      continue;
+    }
+    if (!chain.includes(PROVIDERS[name])) chain.push(PROVIDERS[name]);
+  }
+  if (!chain.includes(straightLineProvider)) chain.push(straightLineProvider);
+  return chain;
+}
+
+function maxPointsPerRequest() {
+  const n = parseInt(process.env.ROUTING_MAX_WAYPOINTS, 10);
+  return (Number.isFinite(n) && n >= 0 ? n : DEFAULT_MAX_WAYPOINTS) + 2; // + origin and destination
+}
+
+/**
+ * Split ordered points into chunks of at most `size` points; consecutive chunks
+ * share one point so the routed pieces join up.
+ */
+function chunkPoints(points, size) {
+  if (points.length <= size) return [points];
+  const chunks = [];
+  for (let start = 0; start < points.length - 1; start += size - 1) {
+    chunks.push(points.slice(start, start + size));
+  }
+  return chunks;
+}
+
+// Rough planar distance, only used to decide whether two seam points coincide
+function approxDistanceMeters(a, b) {
+  const dLat = (a.lat - b.lat) * 111320;
+  const dLng = (a.lng - b.lng) * 111320 * Math.cos(a.lat * Math.PI / 180);
+  return Math.sqrt(dLat * dLat + dLng * dLng);
+}
+
+/**
+ * Join chunk paths into one path, dropping the duplicated seam point.
+ */
+function stitchPaths(paths) {
+  const out = [];
+  for (const path of paths) {
+    if (!path.length) continue;
+    const first = path[0];
+    const last = out[out.length - 1];
+    const start = last && approxDistanceMeters(last, first) <= STITCH_TOLERANCE_METERS ? 1 : 0;
+    for (let i = start; i < path.length; i++) out.push(path[i]);
+  }
+  return out;
+}
+
+// Route one request-sized list of points through the provider chain
+async function routeChunk(points) {
+  for (const provider of getProviderChain()) {
+    try {
+      const path = await provider.route(points);
+      if (Array.isArray(path) && path.length > 0) return { path, provider: provider.name };
+    } catch (e) {
+      logger.warn('Routing provider failed, trying next', { provider: provider.name, points: points.length, error: e && e.message });
+    }
+  }
+  return { path: points, provider: straightLineProvider.name };
+}
+
+/**
+ * Route through the ordered points. Long point lists are routed chunk by chunk,
+ * each chunk using the first provider in the chain that succeeds for it.
+ * @param {Array} points - [{lat, lng}, ...] origin, waypoints, destination
+ * @returns {Object} { path, provider } - provider names joined with '+' when chunks differ
+ */
+async function routeThrough(points) {
+  const pts = (points || []).map(p => ({ lat: +p.lat, lng: +p.lng }));
+  if (pts.length < 2) return { path: pts, provider: straightLineProvider.name };
+
+  const chunks = chunkPoints(pts, maxPointsPerRequest());
+  const results = [];
+  for (const chunk of chunks) results.push(await routeChunk(chunk));
+  if (chunks.length > 1) {
+    logger.debug('Routed in chunks', { points: pts.length, chunks: chunks.length, providers: results.map(r => r.provider) });
+  }
+
+  const providers = [...new Set(results.map(r => r.provider))];
+  return { path: stitchPaths(results.map(r => r.path)), provider: providers.join('+') };
+}
+
+module.exports = {
+  configure,
+  routeThrough,
+  getProviderChain,
+  chunkPoints,
+  stitchPaths,
+  PROVIDERS
+};
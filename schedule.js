@@ -0,0 +1,175 @@
+/**
+ * Bus schedule helpers
+ *
+ * Bus times are stored as strings ("07:45" or "7:45 AM"). Morning routes end at the
+ * campus (morningEndTime = campus arrival); evening routes start there
+ * (eveningStartTime = campus departure).
+ *
+ * Time-aware matching (`/api/check-availability` with `arriveBy` / `departAfter`):
+ *   MORNING - arrives by `arriveBy` and at most SCHEDULE_MATCH_WINDOW_MINUTES earlier: ok;
+ *             arrives after it but within the window: kept, flagged late; else dropped
+ *   EVENING - leaves at or after `departAfter`, within the window: ok; leaves up to the
+ *             window before it: kept, flagged early; else dropped
+ * Periods without schedule times are kept with fit 'unknown'.
+ *
+ * Timetables: stops may carry their own `scheduledTime`. Missing times are interpolated
+ * between the nearest known times (a stop's own, or the bus start/end time for the first
+ * and last stop) in proportion to distance along the route polyline.
+ */
+
+const { distancesAlongPath } = require('./polylineUtils');
+
+const SCHEDULE_MATCH_WINDOW_MINUTES = parseInt(process.env.SCHEDULE_MATCH_WINDOW_MINUTES, 10) || 60;
+
+// Parse "HH:MM" (24h) or "H:MM AM/PM" into minutes after midnight; null when not parseable
+function parseTimeToMinutes(value) {
+  if (!value || typeof value !== 'string') return null;
+  const m = value.trim().match(/^(\d{1,2}):(\d{2})(?:\s*([AaPp][Mm]))?$/);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = parseInt(m[2], 10);
+  if (m[3]) {
+    const pm = m[3].toUpperCase() === 'PM';
+    if (hours === 12) hours = pm ? 12 : 0;
+    else if (pm) hours += 12;
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/** Minutes after midnight -> "HH:MM" (24h) */
+function formatMinutes(total) {
+  const m = ((Math.round(total) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
+
+/**
+ * How one period of a bus fits the user's preferred time.
+ * @param {String} period - 'MORNING' | 'EVENING'
+ * @param {Object} bus - { morningEndTime, eveningStartTime }
+ * @param {Number} wantedMinutes - arriveBy (MORNING) or departAfter (EVENING), minutes after midnight
+ * @returns {Object} { fit: 'ok' | 'late' | 'early' | 'unknown' | 'mismatch', time, offsetMinutes }
+ *   offsetMinutes is positive when the bus is later than wanted
+ */
+function periodFit(period, bus, wantedMinutes) {
+  const time = period === 'MORNING' ? bus.morningEndTime : bus.eveningStartTime;
+  const busMinutes = parseTimeToMinutes(time);
+  if (busMinutes === null) return { fit: 'unknown', time: time || null, offsetMinutes: null };
+  const offset = busMinutes - wantedMinutes;
+  const window = SCHEDULE_MATCH_WINDOW_MINUTES;
+  let fit;
+  if (period === 'MORNING') {
+    if (offset <= 0 && offset >= -window) fit = 'ok';
+    else if (offset > 0 && offset <= window) fit = 'late';
+    else fit = 'mismatch';
+  } else {
+    if (offset >= 0 && offset <= window) fit = 'ok';
+    else if (offset < 0 && offset >= -window) fit = 'early';
+    else fit = 'mismatch';
+  }
+  return { fit, time: formatMinutes(busMinutes), offsetMinutes: offset };
+}
+
+/**
+ * Apply arrival/departure preferences to availability matches. Each bus keeps only the
+ * period matches that fit; buses left without any matched period are dropped.
+ * @param {Array} buses - findNearbyBusesDb results ({ matches: { morning, evening }, schedule, ... })
+ * @param {Object} prefs - { arriveBy, departAfter } as minutes after midnight (either may be null)
+ * @returns {Object} { buses, dropped } - buses gain `timing: { morning?, evening? }`
+ */
+function applyTimePreferences(buses, prefs) {
+  const checks = [
+    ['morning', 'MORNING', prefs.arriveBy],
+    ['evening', 'EVENING', prefs.departAfter]
+  ].filter(([, , wanted]) => wanted !== null && wanted !== undefined);
+  if (!checks.length) return { buses, dropped: 0 };
+
+  const kept = [];
+  for (const bus of buses) {
+    const schedule = bus.schedule || {};
+    const matches = { ...(bus.matches || {}) };
+    const timing = {};
+    for (const [key, period, wanted] of checks) {
+      if (!matches[key]) continue;
+      const result = periodFit(period, schedule, wanted);
+      if (result.fit === 'mismatch') matches[key] = null;
+      else timing[key] = result;
+    }
+    // Fallback matches (no per-period detail) cannot be checked and are kept as-is
+    const hadMatches = Boolean(bus.matches && (bus.matches.morning || bus.matches.evening));
+    if (hadMatches && !matches.morning && !matches.evening) continue;
+    const remaining = [matches.morning, matches.evening].filter(Boolean);
+    kept.push({
+      ...bus,
+      matches,
+      timing,
+      distanceMeters: remaining.length ? Math.min(...remaining.map(m => m.distanceMeters)) : bus.distanceMeters
+    });
+  }
+  // Dropping a period can move a bus's closest approach; keep closest first
+  kept.sort((x, y) => (x.distanceMeters ?? Infinity) - (y.distanceMeters ?? Infinity));
+  return { buses: kept, dropped: buses.length - kept.length };
+}
+
+/**
+ * Timetable for one period of a bus.
+ * @param {Array} stops - ordered [{ name, lat, lng, scheduledTime? }]
+ * @param {Array} path - route polyline [{lat, lng}] (stops are used when empty)
+ * @param {String} startTime - bus start time for the period (first stop)
+ * @param {String} endTime - bus end time for the period (last stop)
+ * @returns {Array} [{ name, time: "HH:MM" | null, source: 'scheduled' | 'interpolated' | null }]
+ */
+function buildTimetable(stops, path, startTime, endTime) {
+  const list = stops || [];
+  if (!list.length) return [];
+  const known = list.map(s => parseTimeToMinutes(s.scheduledTime));
+  const source = known.map(t => (t === null ? null : 'scheduled'));
+  // Bus start/end times anchor the ends of the route when those stops have no time of their own
+  if (known[0] === null && parseTimeToMinutes(startTime) !== null) {
+    known[0] = parseTimeToMinutes(startTime);
+    source[0] = 'scheduled';
+  }
+  const last = list.length - 1;
+  if (last > 0 && known[last] === null && parseTimeToMinutes(endTime) !== null) {
+    known[last] = parseTimeToMinutes(endTime);
+    source[last] = 'scheduled';
+  }
+
+  const routePath = path && path.length ? path : list;
+  const along = distancesAlongPath(routePath, list);
+  const times = known.slice();
+  let prev = known.findIndex(t => t !== null);
+  while (prev !== -1) {
+    let next = -1;
+    for (let i = prev + 1; i < list.length; i++) {
+      if (known[i] !== null) { next = i; break; }
+    }
+    if (next === -1) break;
+    const span = (along[next] || 0) - (along[prev] || 0);
+    // Times past midnight (e.g. 23:50 -> 00:10) wrap forward
+    const minutes = ((known[next] - known[prev]) % 1440 + 1440) % 1440;
+    for (let i = prev + 1; i < next; i++) {
+      const fraction = span > 0
+        ? Math.min(1, Math.max(0, ((along[i] || 0) - (along[prev] || 0)) / span))
+        : (i - prev) / (next - prev); // no usable distances: space evenly
+      times[i] = known[prev] + minutes * fraction;
+      source[i] = 'interpolated';
+    }
+    prev = next;
+  }
+
+  return list.map((s, i) => ({
+    name: s.name,
+    time: times[i] === null ? null : formatMinutes(times[i]),
+    source: times[i] === null ? null : source[i]
+  }));
+}
+
+module.exports = {
+  SCHEDULE_MATCH_WINDOW_MINUTES,
+  buildTimetable,
+  parseTimeToMinutes,
+  formatMinutes,
+  periodFit,
+  applyTimePreferences
+};
@@ -19,6 +19,10 @@ try {
       // Refresh buses so public pages show new images
       loadBusesFromDatabase();
     });
+    socket.on('routeUpdated', (payload) => {
+      // Drop the stale cached route so the next modal open fetches the new polyline
+      if (payload && payload.busNumber) routeDetailsCache.delete(String(payload.busNumber));
+    });
   }
 } catch (e) { console.warn('Socket not available', e); }
 
@@ -208,6 +212,9 @@ async function applySiteSettings() {
     if (addrEl) addrEl.textContent = ` Address: ${s.contact?.address || 'Address line'}`;
     if (phoneEl) phoneEl.textContent = ` Contact: ${s.contact?.phone || '+91 00000 00000'}`;
     if (emailEl) emailEl.textContent = ` Email: ${s.contact?.email || 'support@example.com'}`;
+    // Bound the radius input by the admin-configured maximum
+    const radiusInput = document.getElementById('searchRadius');
+    if (radiusInput && s.maxSearchRadiusKm) radiusInput.max = String(s.maxSearchRadiusKm);
     // Store maps availability flag
     try { window.SITE_MAPS_ENABLED = Boolean(s.mapsEnabled); } catch (e) { window.SITE_MAPS_ENABLED = false; }
   } catch (e) {
@@ -290,12 +297,17 @@ document.getElementById("busForm").addEventListener("submit", async function(e)
 
   try {
     // Prepare location payload: if user supplied coordinates use them, otherwise
-    // attempt server-side geocoding for place names to avoid 400 responses.
+    // resolve place names server-side and, when several plausible places match,
+    // let the user pick one. The pick is sent back as `candidateId`.
     let locationToSend = location;
+    let candidateId;
     if (typeof location === 'string') {
       const coordMatch = location.match(/^\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*$/);
       if (coordMatch) {
         locationToSend = { lat: parseFloat(coordMatch[1]), lng: parseFloat(coordMatch[2]) };
+      } else if (selectedSuggestion && selectedSuggestion.label === location) {
+        // Picked from the autocomplete list: already resolved
+        candidateId = selectedSuggestion.id;
       } else {
         // Try server-side geocode
         try {
@@ -306,7 +318,12 @@ document.getElementById("busForm").addEventListener("submit", async function(e)
           });
           const gj = await geores.json();
           if (geores.ok && gj && gj.success && gj.location && typeof gj.location.lat === 'number') {
-            locationToSend = { lat: gj.location.lat, lng: gj.location.lng };
+            let chosen = gj.location;
+            if (gj.ambiguous) {
+              chosen = await chooseGeocodeCandidate(location, (gj.candidates || []).filter(c => c.plausible));
+              if (!chosen) return;
+            }
+            candidateId = chosen.id;
           } else {
             showNotification(`Could not find location "${location}". Please provide coordinates as \"lat,lng\" or a valid location name.`, 'error');
             return;
@@ -319,27 +336,46 @@ document.getElementById("busForm").addEventListener("submit", async function(e)
     }
 
     // Call backend API to check bus availability
-    const response = await fetch(`${API_BASE_URL}/api/check-availability`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-          email: contact,
-          location: locationToSend,
-          requestBus: (document.getElementById('requestBus') && document.getElementById('requestBus').value === 'yes')
-        })
-    });
-
-    const data = await response.json();
+    const checkAvailability = async () => {
+      const response = await fetch(`${API_BASE_URL}/api/check-availability`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            email: contact,
+            location: locationToSend,
+            candidateId,
+            radiusKm: document.getElementById('searchRadius') ? document.getElementById('searchRadius').value : undefined,
+            period: document.getElementById('searchPeriod') ? document.getElementById('searchPeriod').value : undefined,
+            arriveBy: document.getElementById('arriveBy') ? document.getElementById('arriveBy').value || undefined : undefined,
+            departAfter: document.getElementById('departAfter') ? document.getElementById('departAfter').value || undefined : undefined,
+            requestBus: (document.getElementById('requestBus') && document.getElementById('requestBus').value === 'yes'),
+            verificationToken: verificationTokens.get(contact)
+          })
+      });
+      return response.json();
+    };
+
+    let data = await checkAvailability();
+    // The server may require a verified contact to request a bus: ask for a code, then retry
+    if (data.verificationRequired) {
+      verificationTokens.delete(contact);
+      if (!await verifyContact(contact)) return;
+      data = await checkAvailability();
+    }
 
-    if (data.success) {
+    if (data.verificationRequired) {
+      showNotification(data.message, 'error');
+    } else if (data.success && data.status === 'OUT_OF_AREA') {
+      renderOutOfAreaPanel(data.message);
+    } else if (data.success) {
       const numbers = (data.buses || []).map(b => {
         const real = String(b.busNumber);
         return busNumberToDisplay.get(real) || real;
       });
       // Show availability panel without filtering the main bus list
-      renderAvailabilityPanel(data.available, numbers); 
+      renderAvailabilityPanel(data.available, numbers, data.buses || [], data.radiusKm, data.alternatives || []);
     } else {
       showNotification(data.message || 'Error checking bus availability', 'error');
     }
@@ -362,6 +398,137 @@ document.getElementById("busForm").addEventListener("submit", async function(e)
   }
 });
 
+// ---- Location autocomplete (GET /api/places/suggest) ----
+// Combobox pattern: ArrowUp/ArrowDown move through suggestions, Enter picks the
+// highlighted one, Escape closes the list. A picked suggestion is submitted by its
+// candidate id as long as the input text is unchanged.
+let selectedSuggestion = null;
+
+(function setupLocationSuggestions() {
+  const input = document.getElementById('location');
+  if (!input) return;
+  const SUGGEST_DEBOUNCE_MS = 300;
+  const suggestCache = new Map(); // query -> suggestions
+  let suggestions = [];
+  let activeIndex = -1;
+  let debounceTimer = null;
+  let latestQuery = '';
+
+  const list = document.createElement('ul');
+  list.id = 'locationSuggestions';
+  list.className = 'suggestion-list';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  input.insertAdjacentElement('afterend', list);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', list.id);
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('autocomplete', 'off');
+
+  function close() {
+    list.hidden = true;
+    activeIndex = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function highlight(index) {
+    activeIndex = index;
+    Array.from(list.children).forEach((li, i) => li.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+    if (index >= 0) input.setAttribute('aria-activedescendant', `locationSuggestion-${index}`);
+    else input.removeAttribute('aria-activedescendant');
+  }
+
+  function pick(index) {
+    const s = suggestions[index];
+    if (!s) return;
+    input.value = s.label;
+    selectedSuggestion = s;
+    close();
+  }
+
+  function render() {
+    list.innerHTML = '';
+    if (!suggestions.length) { close(); return; }
+    suggestions.forEach((s, i) => {
+      const li = document.createElement('li');
+      li.id = `locationSuggestion-${i}`;
+      li.className = 'suggestion-item';
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', 'false');
+      li.textContent = s.label;
+      const source = document.createElement('span');
+      source.className = 'suggestion-source';
+      source.textContent = s.source === 'stop' ? 'Bus stop' : s.source === 'landmark' ? 'Landmark' : s.source === 'history' ? 'Recent search' : 'Map';
+      li.appendChild(source);
+      // mousedown keeps focus in the input (click would blur it first)
+      li.addEventListener('mousedown', (e) => { e.preventDefault(); pick(i); });
+      list.appendChild(li);
+    });
+    list.hidden = false;
+    activeIndex = -1;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  async function load(query) {
+    if (suggestCache.has(query)) {
+      suggestions = suggestCache.get(query);
+      render();
+      return;
+    }
+    try {
+      const res = await fetch(`${API_BASE_URL}/api/places/suggest?q=${encodeURIComponent(query)}`);
+      const data = await res.json();
+      const ok = res.ok && data && data.success;
+      const found = ok ? data.suggestions || [] : [];
+      // Failed responses (429, 500) are not cached, so the query is tried again later
+      if (ok) suggestCache.set(query, found);
+      // Ignore responses for queries the user has already typed past
+      if (query !== latestQuery) return;
+      suggestions = found;
+      render();
+    } catch (e) {
+      console.warn('Failed to load location suggestions', e);
+    }
+  }
+
+  input.addEventListener('input', () => {
+    const query = input.value.trim();
+    if (selectedSuggestion && selectedSuggestion.label !== input.value) selectedSuggestion = null;
+    latestQuery = query;
+    clearTimeout(debounceTimer);
+    // Coordinates need no suggestions
+    if (query.length < 2 || /^\s*-?\d+\.?\d*\s*,/.test(query)) {
+      suggestions = [];
+      close();
+      return;
+    }
+    debounceTimer = setTimeout(() => load(query), SUGGEST_DEBOUNCE_MS);
+  });
+
+  input.addEventListener('keydown', (e) => {
+    if (list.hidden || !suggestions.length) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      highlight((activeIndex + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      highlight(activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1);
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      // Pick the suggestion instead of submitting the form
+      e.preventDefault();
+      pick(activeIndex);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  input.addEventListener('blur', close);
+})();
+
 // Use current location button
 document.getElementById('useCurrentLocation')?.addEventListener('click', () => {
   const btn = document.getElementById('useCurrentLocation');
@@ -647,8 +814,26 @@ function escapeHtml(s) {
   });
 }
 
+// Format a distance in meters for display ("350 m" / "1.2 km")
+function formatDistance(meters) {
+  const m = Number(meters);
+  if (!Number.isFinite(m)) return '';
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+// Schedule fit for a matched period (only present when arriveBy / departAfter was given)
+function formatTiming(key, t) {
+  if (!t) return '';
+  const verb = key === 'morning' ? 'reaches campus' : 'leaves campus';
+  if (t.fit === 'unknown') return ' • schedule not published';
+  const off = Math.abs(t.offsetMinutes);
+  if (t.fit === 'late') return ` • ⚠ ${verb} at ${t.time}, ${off} min late`;
+  if (t.fit === 'early') return ` • ⚠ ${verb} at ${t.time}, ${off} min early`;
+  return ` • ${verb} at ${t.time}`;
+}
+
 // Availability result panel below the form
-function renderAvailabilityPanel(isAvailable, numbers) {
+function renderAvailabilityPanel(isAvailable, numbers, matchedBuses = [], radiusKm = 1.5, alternatives = []) {
   // Remove existing panel
   const existing = document.querySelector('.result-panel');
   if (existing) existing.remove();
@@ -660,25 +845,258 @@ function renderAvailabilityPanel(isAvailable, numbers) {
   if (isAvailable) {
     const title = document.createElement('div');
     title.className = 'result-title';
-    title.textContent = `Found ${numbers.length} bus(es) serving your area within 1.5km radius!`;
+    title.textContent = `Found ${numbers.length} bus(es) serving your area within ${radiusKm}km radius!`;
     const line = document.createElement('p');
     line.className = 'result-line';
     line.textContent = `Bus numbers: ${numbers.join(', ')}`;
     panel.appendChild(title);
     panel.appendChild(line);
+
+    // Nearest boarding stop per bus and period (buses arrive sorted closest first)
+    matchedBuses.forEach((b, i) => {
+      const matches = b.matches || {};
+      const timing = b.timing || {};
+      [['morning', 'Morning'], ['evening', 'Evening']].forEach(([key, label]) => {
+        const m = matches[key];
+        if (!m || !m.nearestStop) return;
+        const stopLine = document.createElement('p');
+        stopLine.className = 'result-line';
+        stopLine.textContent = `Bus ${numbers[i]} (${label}): walk to ${m.nearestStop.name} (${formatDistance(m.nearestStop.distanceMeters)}) • route passes ${formatDistance(m.distanceMeters)} away${formatTiming(key, timing[key])}`;
+        panel.appendChild(stopLine);
+      });
+    });
   } else {
     const title = document.createElement('div');
     title.className = 'result-title';
     title.textContent = 'No buses available nearby';
     const line = document.createElement('p');
-    line.className = 'result-line'; line.textContent = 'Right now bus is unavailable within 1.5km radius of your location.';
+    line.className = 'result-line'; line.textContent = `Right now bus is unavailable within ${radiusKm}km radius of your location.`;
     panel.appendChild(title);
     panel.appendChild(line);
+
+    // Closest routes just outside the radius
+    if (alternatives.length) {
+      const intro = document.createElement('p');
+      intro.className = 'result-line';
+      intro.style.marginTop = '8px';
+      intro.textContent = 'Nearest routes:';
+      panel.appendChild(intro);
+      alternatives.forEach(a => {
+        const label = a.period === 'EVENING' ? 'Evening' : 'Morning';
+        const number = busNumberToDisplay.get(String(a.busNumber)) || a.busNumber;
+        const altLine = document.createElement('p');
+        altLine.className = 'result-line';
+        const stop = a.nearestStop ? ` • nearest stop ${a.nearestStop.name} (${formatDistance(a.nearestStop.distanceMeters)})` : '';
+        altLine.textContent = `Bus ${number} (${label}) passes ${formatDistance(a.distanceMeters)} away, ${formatDistance(a.beyondRadiusMeters)} beyond your radius${stop}`;
+        panel.appendChild(altLine);
+      });
+    }
   }
 
   form.insertAdjacentElement('afterend', panel);
 }
 
+// Result panel for locations outside the admin-defined service area
+function renderOutOfAreaPanel(message) {
+  const existing = document.querySelector('.result-panel');
+  if (existing) existing.remove();
+
+  const panel = document.createElement('div');
+  panel.className = 'result-panel result-warning';
+  const title = document.createElement('div');
+  title.className = 'result-title';
+  title.textContent = 'Outside our service area';
+  const line = document.createElement('p');
+  line.className = 'result-line';
+  line.textContent = message || 'This location is outside the area served by our buses.';
+  panel.appendChild(title);
+  panel.appendChild(line);
+  document.getElementById('busForm').insertAdjacentElement('afterend', panel);
+}
+
+// ---- Contact verification (POST /api/contact-verification, then /confirm) ----
+// Tokens are kept per contact for this page visit and sent with every check.
+const verificationTokens = new Map();
+
+async function postJson(path, body) {
+  const res = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+/**
+ * Send a one-time code to `contact` and ask for it below the search form.
+ * Resolves with the verification token, or null when the user cancels.
+ */
+function verifyContact(contact) {
+  return new Promise(resolve => {
+    const existing = document.querySelector('.result-panel');
+    if (existing) existing.remove();
+
+    const form = document.getElementById('busForm');
+    const panel = document.createElement('div');
+    panel.className = 'result-panel result-choice';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-labelledby', 'verifyTitle');
+
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.id = 'verifyTitle';
+    title.textContent = `To request a bus, enter the code we send to ${contact}.`;
+    panel.appendChild(title);
+
+    const status = document.createElement('div');
+    status.className = 'verify-status';
+    status.setAttribute('aria-live', 'polite');
+    status.textContent = 'Sending code...';
+    panel.appendChild(status);
+
+    const input = document.createElement('input');
+    input.className = 'form-input verify-code';
+    input.inputMode = 'numeric';
+    input.autocomplete = 'one-time-code';
+    input.maxLength = 6;
+    input.placeholder = '6-digit code';
+    input.setAttribute('aria-label', 'Verification code');
+    panel.appendChild(input);
+
+    const makeButton = (text, extraClass) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = `candidate-option${extraClass ? ` ${extraClass}` : ''}`;
+      btn.textContent = text;
+      panel.appendChild(btn);
+      return btn;
+    };
+    const confirmBtn = makeButton('Verify');
+    const resendBtn = makeButton('Send a new code');
+    const cancelBtn = makeButton('Cancel', 'candidate-cancel');
+
+    let verificationId = null;
+    const finish = (token) => {
+      panel.remove();
+      resolve(token);
+    };
+
+    const send = async () => {
+      resendBtn.disabled = true;
+      try {
+        const data = await postJson('/api/contact-verification', { contact });
+        status.textContent = data.message || 'Could not send a code';
+        if (data.success) {
+          verificationId = data.verificationId;
+          input.focus();
+        }
+        // Allow a resend once the server's wait is over
+        setTimeout(() => { resendBtn.disabled = false; }, ((data.retryAfterSeconds || 60) * 1000));
+      } catch (e) {
+        status.textContent = 'Could not send a code. Please try again.';
+        resendBtn.disabled = false;
+      }
+    };
+
+    const confirm = async () => {
+      if (!verificationId || !input.value.trim()) return;
+      confirmBtn.disabled = true;
+      try {
+        const data = await postJson('/api/contact-verification/confirm', { verificationId, code: input.value.trim() });
+        if (data.success) {
+          verificationTokens.set(contact, data.verificationToken);
+          finish(data.verificationToken);
+          return;
+        }
+        status.textContent = data.message || 'Incorrect code';
+      } catch (e) {
+        status.textContent = 'Could not check the code. Please try again.';
+      }
+      confirmBtn.disabled = false;
+    };
+
+    confirmBtn.addEventListener('click', confirm);
+    resendBtn.addEventListener('click', send);
+    cancelBtn.addEventListener('click', () => finish(null));
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target === input) {
+        e.preventDefault();
+        confirm();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelBtn.click();
+      }
+    });
+
+    form.insertAdjacentElement('afterend', panel);
+    send();
+  });
+}
+
+// "Did you mean" picker below the form for place names with several plausible matches.
+// Resolves with the chosen candidate, or null when the user cancels.
+// Arrow keys move between options, Enter/Space picks, Escape cancels.
+function chooseGeocodeCandidate(query, candidates) {
+  return new Promise(resolve => {
+    const existing = document.querySelector('.result-panel');
+    if (existing) existing.remove();
+
+    const form = document.getElementById('busForm');
+    const panel = document.createElement('div');
+    panel.className = 'result-panel result-choice';
+    panel.setAttribute('role', 'group');
+    panel.setAttribute('aria-labelledby', 'candidateTitle');
+
+    const title = document.createElement('div');
+    title.className = 'result-title';
+    title.id = 'candidateTitle';
+    title.textContent = `Several places match "${query}". Which one did you mean?`;
+    panel.appendChild(title);
+
+    const finish = (candidate) => {
+      panel.remove();
+      resolve(candidate);
+    };
+
+    const buttons = candidates.map(c => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'candidate-option';
+      const distance = c.distanceFromCampusKm != null ? ` • ${formatDistance(c.distanceFromCampusKm * 1000)} from campus` : '';
+      btn.textContent = `${c.formatted_address || `${c.lat.toFixed(5)}, ${c.lng.toFixed(5)}`}${distance}`;
+      btn.addEventListener('click', () => finish(c));
+      panel.appendChild(btn);
+      return btn;
+    });
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'candidate-option candidate-cancel';
+    cancel.textContent = 'None of these - edit my search';
+    cancel.addEventListener('click', () => {
+      finish(null);
+      document.getElementById('location').focus();
+    });
+    panel.appendChild(cancel);
+    buttons.push(cancel);
+
+    panel.addEventListener('keydown', (e) => {
+      const index = buttons.indexOf(document.activeElement);
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        buttons[(index + step + buttons.length) % buttons.length].focus();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancel.click();
+      }
+    });
+
+    form.insertAdjacentElement('afterend', panel);
+    buttons[0].focus();
+  });
+}
+
 // ---- Admin/Shared: safer route rendering to a given map element ----
 function toLatLng(coords) {
   if (!coords) return null;
@@ -772,6 +1190,20 @@ document.addEventListener("click", (e) => {
   }
 });
 
+// Numbered stop list with the timetable time of each stop ("~" marks interpolated times)
+function renderStopList(elementId, stops, timetable) {
+  const el = document.getElementById(elementId);
+  if (!el) return;
+  const lines = (stops || []).map((stop, index) => {
+    const entry = Array.isArray(timetable) ? timetable[index] : null;
+    const time = entry && entry.time
+      ? ` <span class="stop-time" title="${entry.source === 'interpolated' ? 'Estimated from the route schedule' : 'Scheduled'}">${entry.source === 'interpolated' ? '~' : ''}${escapeHtml(entry.time)}</span>`
+      : '';
+    return `${index + 1}. ${escapeHtml(stop.name)}${time}`;
+  }).join('<br>');
+  el.innerHTML = `<strong>Route Stops:</strong><br>${lines}`;
+}
+
 // Show modal with bus data
 function showModal(busData) {
   // Store current bus data
@@ -786,11 +1218,7 @@ function showModal(busData) {
     busData.morningRoute.description;
   
   // Create stops list for morning route
-  const morningStopsList = busData.morningRoute.stops.map((stop, index) => 
-    `${index + 1}. ${stop.name}`
-  ).join('<br>');
-  document.getElementById("morningRouteStops").innerHTML = 
-    `<strong>Route Stops:</strong><br>${morningStopsList}`;
+  renderStopList('morningRouteStops', busData.morningRoute.stops, busData.morningRoute.timetable);
   
   // Update evening route
   document.getElementById("eveningRouteTitle").textContent = 
@@ -799,11 +1227,7 @@ function showModal(busData) {
     busData.eveningRoute.description;
   
   // Create stops list for evening route
-  const eveningStopsList = busData.eveningRoute.stops.map((stop, index) => 
-    `${index + 1}. ${stop.name}`
-  ).join('<br>');
-  document.getElementById("eveningRouteStops").innerHTML = 
-    `<strong>Route Stops:</strong><br>${eveningStopsList}`;
+  renderStopList('eveningRouteStops', busData.eveningRoute.stops, busData.eveningRoute.timetable);
   
   // Populate description tab
   const busRouteTextEl = document.getElementById("busRouteText");
@@ -859,6 +1283,9 @@ function showModal(busData) {
   }
 
 
+  // Route length and duration come from the per-bus route endpoint
+  loadRouteMeta(busData.number);
+
   // Generate dynamic maps
   // Make modal visible BEFORE rendering maps so Google Maps can measure container
   modal.style.display = "block";
@@ -871,8 +1298,8 @@ function showModal(busData) {
 
   // Render maps after next tick to ensure layout is settled
   setTimeout(() => {
-    generateRouteMap('morning', busData.morningRoute);
-    generateRouteMap('evening', busData.eveningRoute);
+    generateRouteMap('morning', busData.morningRoute, busData.number);
+    generateRouteMap('evening', busData.eveningRoute, busData.number);
   }, 0);
 }
 
@@ -880,8 +1307,66 @@ function showModal(busData) {
 
 
 
+// Decode a Google encoded polyline (as served by /api/routes/:busNumber) -> [{lat, lng}]
+function decodePolyline(encoded) {
+  if (!encoded) return [];
+  let index = 0, lat = 0, lng = 0;
+  const coords = [];
+  while (index < encoded.length) {
+    let shift = 0, result = 0, b;
+    do { b = encoded.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
+    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
+    shift = 0; result = 0;
+    do { b = encoded.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
+    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
+    coords.push({ lat: lat * 1e-5, lng: lng * 1e-5 });
+  }
+  return coords;
+}
+
+// Per-bus route details from /api/routes/:busNumber, shared by the modal meta and maps
+const routeDetailsCache = new Map();
+function fetchRouteDetails(busNumber) {
+  const key = String(busNumber);
+  if (!routeDetailsCache.has(key)) {
+    const request = fetch(`${API_BASE_URL}/api/routes/${encodeURIComponent(key)}`)
+      .then(res => res.json())
+      .then(data => (data.success && data.bus ? data.bus : null))
+      .catch(() => null);
+    routeDetailsCache.set(key, request);
+    // Do not keep failed lookups around
+    request.then(bus => { if (!bus && routeDetailsCache.get(key) === request) routeDetailsCache.delete(key); });
+  }
+  return routeDetailsCache.get(key);
+}
+
+// Fetch route length / duration for the modal's morning and evening tabs
+async function loadRouteMeta(busNumber) {
+  const targets = { morning: document.getElementById('morningRouteMeta'), evening: document.getElementById('eveningRouteMeta') };
+  Object.values(targets).forEach(el => { if (el) el.textContent = ''; });
+  try {
+    const bus = await fetchRouteDetails(busNumber);
+    if (!bus) return;
+    // Ignore late responses if the modal moved on to another bus
+    if (!currentBusData || String(currentBusData.number) !== String(busNumber)) return;
+    [['morning', bus.morningRoute], ['evening', bus.eveningRoute]].forEach(([key, route]) => {
+      // The detailed route interpolates stop times along the road polyline
+      if (route && route.timetable) renderStopList(`${key}RouteStops`, route.stops, route.timetable);
+      const el = targets[key];
+      if (!el || !route || !route.lengthMeters) return;
+      const parts = [`Length: ${formatDistance(route.lengthMeters)}`];
+      if (route.durationMinutes) {
+        parts.push(`${route.durationSource === 'schedule' ? 'Scheduled' : 'Estimated'} duration: ${route.durationMinutes} min`);
+      }
+      el.textContent = parts.join(' • ');
+    });
+  } catch (e) {
+    console.warn('Failed to load route details', e);
+  }
+}
+
 // Generate dynamic route map
-async function generateRouteMap(routeType, routeData) {
+async function generateRouteMap(routeType, routeData, busNumber) {
   const mapContainer = document.querySelector(`#${routeType}Route .route-map`);
   // Hide placeholder
   const placeholder = mapContainer.querySelector('.map-placeholder');
@@ -928,7 +1413,21 @@ async function generateRouteMap(routeType, routeData) {
       zoomControl: true,
     });
 
-    if (coords.length > 0) {
+    // Prefer the server's cached road polyline; avoids a Directions request per map
+    let cachedPath = [];
+    if (busNumber) {
+      const details = await fetchRouteDetails(busNumber);
+      const route = details && (routeType === 'morning' ? details.morningRoute : details.eveningRoute);
+      cachedPath = decodePolyline(route && route.polyline);
+    }
+
+    if (cachedPath.length >= 2) {
+      const polyline = new google.maps.Polyline(buildPolylineOptions(cachedPath, routeData));
+      polyline.setMap(map);
+      const bounds = new google.maps.LatLngBounds();
+      cachedPath.concat(coords).forEach(c => bounds.extend(c));
+      map.fitBounds(bounds);
+    } else if (coords.length > 0) {
       // Use Directions API to snap to roads and honor waypoints
       const svc = new google.maps.DirectionsService();
       const rnd = new google.maps.DirectionsRenderer({
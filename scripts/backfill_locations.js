@@ -8,7 +8,7 @@
  * - Dry run mode via --dry-run or DRY_RUN=true (no writes).
  * - Limit number of rows processed via --limit N or BACKFILL_LIMIT env.
  * - Skips rows that already contain an address before coordinates.
- * - Preserves the __REQ__YES__|| prefix if present.
+ * - Also relabels the bus request raised from the same check, if any.
  * - Rate throttling (1 request per THROTTLE_MS, default 900ms) to respect API quotas.
  * - Retries transient network failures up to 2 additional times.
  *
@@ -101,11 +101,6 @@ const THROTTLE_MS = parseInt(process.env.THROTTLE_MS || '900', 10);
 const coordOnlyRegex = /^\(?\s*-?\d+\.\d+\s*,\s*-?\d+\.\d+\s*\)?$/;
 const unifiedPattern = /[^()]+\(\s*-?\d+\.\d+\s*,\s*-?\d+\.\d+\s*\)/; // address plus coords
 
-function stripRequestedPrefix(s) {
-  if (typeof s === 'string' && s.startsWith('__REQ__YES__||')) return { requested: true, value: s.replace('__REQ__YES__||', '') };
-  return { requested: false, value: s };
-}
-
 (async function main(){
   console.log('Backfill starting', { limit: LIMIT === Infinity ? 'ALL' : LIMIT, dryRun: DRY_RUN, throttleMs: THROTTLE_MS });
   let processed = 0, updated = 0, skipped = 0, failed = 0;
@@ -120,7 +115,7 @@ function stripRequestedPrefix(s) {
 
     for (const row of rows) {
       if (processed >= LIMIT) break;
-      const { requested, value: locRaw } = stripRequestedPrefix(row.location || '');
+      const locRaw = row.location || '';
       const isUnifiedAlready = unifiedPattern.test(locRaw);
       const isCoordOnly = coordOnlyRegex.test(locRaw.trim());
 
@@ -144,13 +139,14 @@ function stripRequestedPrefix(s) {
       if (!success || !geo || !geo.formatted_address) { failed++; continue; }
 
       const unified = `${geo.formatted_address} (${geo.lat.toFixed(6)}, ${geo.lng.toFixed(6)})`;
-      const finalLocation = requested ? `__REQ__YES__||${unified}` : unified;
+      const finalLocation = unified;
 
       if (DRY_RUN) {
         console.log(`[DRY] Would update id=${row.id} -> ${finalLocation}`);
       } else {
         try {
           await prisma.availabilityLog.update({ where: { id: row.id }, data: { location: finalLocation } });
+          await prisma.busRequest.updateMany({ where: { logId: row.id }, data: { location: finalLocation } });
           updated++;
           console.log(`Updated id=${row.id}`);
         } catch (e) {
@@ -27,9 +27,9 @@
  * 
  * STEP 5: Check Intersection
  *   - For each route path (array of points):
- *     * Checks if any point falls within the 1.5km circle
- *     * Checks if any route segment crosses the circle boundary
- *     * Uses geolib's getDistanceFromLine for accurate segment distance calculation
+ *     * Projects the user location onto every route segment (cross-track distance)
+ *     * Route intersects when the nearest segment lies within the 1.5km circle
+ *     * Reports the matched segment index and the projected closest point
  * 
  * STEP 6: Return Results
  *   - Returns all buses whose routes intersect the circle
@@ -38,7 +38,7 @@
  * KEY FEATURES:
  * - Routes are pre-stored in database with stops
  * - Route paths are dynamically generated using Google Directions
- * - Intersection uses both point-in-circle and segment-crossing checks
+ * - Intersection uses true point-to-segment distance across the whole polyline
  * - Comprehensive logging for debugging
  */
 
@@ -50,7 +50,6 @@ const https = require('https');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
-const { PrismaClient } = require('@prisma/client');
 const multer = require('multer');
 const http = require('http');
 const { Server: IOServer } = require('socket.io');
@@ -71,7 +70,7 @@ if (process.env.NODE_ENV === 'production' && !process.env.ADMIN_JWT_SECRET) {
 const JWT_SECRET = process.env.ADMIN_JWT_SECRET || 'dev-secret-change-me';
 const MAIN_ADMIN_EMAIL = process.env.MAIN_ADMIN_EMAIL || '';
 const MAIN_ADMIN_PASSWORD = process.env.MAIN_ADMIN_PASSWORD || '';
-const prisma = new PrismaClient();
+const { prisma } = require('./dbHelpers');
 
 // Create HTTP server and attach socket.io for live updates
 const httpServer = http.createServer(app);
@@ -136,6 +135,8 @@ const apiLimiter = rateLimit({
   message: { success: false, message: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Autocomplete fires while typing; it has its own limiter so it cannot use up this budget
+  skip: (req) => req.path === '/places/suggest',
 });
 app.use('/api/', apiLimiter);
 
@@ -318,6 +319,28 @@ const pdfUpload = multer({
 });
 // ---- Site settings unified with database (fallback to JSON) ----
 const { getSiteSettings, updateSiteSettings, DEFAULT_SETTINGS } = require('./dbHelpers');
+// Service-area polygon validation and point-in-polygon checks
+const serviceArea = require('./serviceArea');
+const busRequests = require('./busRequests');
+// Email / SMS outbox with retries (transports chosen by NOTIFY_EMAIL_TRANSPORT / NOTIFY_SMS_TRANSPORT)
+const notificationOutbox = require('./notificationOutbox');
+notificationOutbox.start();
+// One-time codes proving a contact; "request a bus" needs a verified contact unless
+// REQUIRE_VERIFIED_BUS_REQUESTS=false. Codes need a real email / SMS transport to arrive.
+const contactVerification = require('./contactVerification');
+const REQUIRE_VERIFIED_BUS_REQUESTS = String(process.env.REQUIRE_VERIFIED_BUS_REQUESTS || 'true').toLowerCase() !== 'false';
+if (REQUIRE_VERIFIED_BUS_REQUESTS) {
+  const unreachable = notificationOutbox.CHANNELS.filter(ch => !notificationOutbox.deliversTo(ch));
+  if (unreachable.length === notificationOutbox.CHANNELS.length) {
+    logger.error('!!! Bus requests require contact verification, but no email or SMS transport is configured: verification codes only reach the log and every "request a bus" will be refused. Set NOTIFY_EMAIL_TRANSPORT=smtp and/or NOTIFY_SMS_TRANSPORT=http, or REQUIRE_VERIFIED_BUS_REQUESTS=false.');
+  } else if (unreachable.length) {
+    logger.warn('Contacts on these channels cannot receive verification codes and cannot request a bus', { channels: unreachable });
+  }
+}
+// Grid / cluster aggregation of unserved searches for the admin demand map
+const demandAnalytics = require('./demandAnalytics');
+// Schedule parsing and arrival/departure-time matching
+const { parseTimeToMinutes, formatMinutes, applyTimePreferences, buildTimetable } = require('./schedule');
 const SETTINGS_PATH = path.join(__dirname, 'settings.json');
 
 async function loadUnifiedSettings() {
@@ -359,8 +382,24 @@ app.get('/api/settings', async (req, res) => {
 app.put('/api/admin/settings', requireAdmin, async (req, res) => {
   try {
     const { siteTitle, organizationName, contact } = req.body || {};
+    let maxSearchRadiusKm;
+    if (req.body && req.body.maxSearchRadiusKm !== undefined && req.body.maxSearchRadiusKm !== '') {
+      maxSearchRadiusKm = Number(req.body.maxSearchRadiusKm);
+      if (!Number.isFinite(maxSearchRadiusKm) || maxSearchRadiusKm <= 0 || maxSearchRadiusKm > MAX_SEARCH_RADIUS_LIMIT_KM) {
+        return res.status(400).json({ success: false, message: `maxSearchRadiusKm must be between 0 and ${MAX_SEARCH_RADIUS_LIMIT_KM}` });
+      }
+    }
+    // Service area: GeoJSON (object or pasted string); null / '' clears it, absent keeps it
+    let serviceAreaUpdate;
+    if (req.body && req.body.serviceArea !== undefined) {
+      try {
+        serviceAreaUpdate = serviceArea.normalizeServiceArea(req.body.serviceArea);
+      } catch (e) {
+        return res.status(400).json({ success: false, message: e.message });
+      }
+    }
     // Persist to DB first (source of truth)
-    const saved = await updateSiteSettings({ siteTitle, organizationName, contact });
+    const saved = await updateSiteSettings({ siteTitle, organizationName, contact, maxSearchRadiusKm, serviceArea: serviceAreaUpdate });
     if (!saved) throw new Error('DB persist failed');
     siteSettings = saved;
     // Also write to local file as cache/fallback (best-effort)
@@ -375,254 +414,199 @@ app.put('/api/admin/settings', requireAdmin, async (req, res) => {
 // --- Enhanced geocode + routing + intersection helpers ---
 
 const DEFAULT_RADIUS_KM = parseFloat(process.env.SEARCH_RADIUS_KM) || 1.5; // STEP 3: Radius in km (1.5km = 1500 meters)
+const MAX_SEARCH_RADIUS_LIMIT_KM = 25; // hard ceiling for the admin-configured maxSearchRadiusKm
+// "Nearest alternative" routes offered when nothing is within the search radius
+const NEAREST_ALTERNATIVES_LIMIT = parseInt(process.env.NEAREST_ALTERNATIVES_LIMIT, 10) || 3;
+const NEAREST_ALTERNATIVES_MAX_KM = parseFloat(process.env.NEAREST_ALTERNATIVES_MAX_KM) || 15;
+const SEARCH_PERIODS = ['MORNING', 'EVENING', 'BOTH'];
 const GOOGLE_MAPS_KEY = process.env.GOOGLE_MAPS_API_KEY || null;
-const geocodeCache = new Map();
-const reverseGeocodeCache = new Map();
-// Route polylines cache: in-memory Map and on-disk JSON persistence
-const os = require('os');
-const PERSIST_ROUTE_CACHE = (process.env.ROUTE_CACHE_PERSIST === 'true') || (process.env.NODE_ENV === 'production');
-const ROUTE_CACHE_PATH = PERSIST_ROUTE_CACHE ? path.join(__dirname, 'route_cache.json') : path.join(os.tmpdir(), `route_cache_${process.pid}.json`);
-const routePolylinesCache = new Map(); // key: busId (number) -> { morningRoute: [...], eveningRoute: [...] }
-
-function loadRouteCacheFromDisk() {
-  try {
-    if (fs.existsSync(ROUTE_CACHE_PATH)) {
-      const raw = fs.readFileSync(ROUTE_CACHE_PATH, 'utf-8');
-      const parsed = JSON.parse(raw);
-      for (const key of Object.keys(parsed || {})) {
-        routePolylinesCache.set(Number(key), parsed[key]);
-      }
-      logger.info('Loaded route polylines cache from disk', { count: routePolylinesCache.size });
-    }
-  } catch (e) {
-    logger.warn('Failed to load route cache from disk', { error: e && e.message });
-  }
-}
-
-function saveRouteCacheToDisk() {
-  try {
-    const obj = {};
-    for (const [k, v] of routePolylinesCache.entries()) obj[String(k)] = v;
-    fs.writeFileSync(ROUTE_CACHE_PATH, JSON.stringify(obj, null, 2), 'utf-8');
-    logger.info('Saved route polylines cache to disk', { count: routePolylinesCache.size, path: ROUTE_CACHE_PATH, persisted: PERSIST_ROUTE_CACHE });
-  } catch (e) {
-    logger.warn('Failed to persist route cache to disk', { error: e && e.message });
-  }
-}
+// Geocode results (forward + reverse) persisted in the GeocodeCache table (see geocodeCache.js)
+const geocodeCache = require('./geocodeCache');
+// Forward geocoder chain (local gazetteer, Google, Nominatim); shares the Google usage counter
+const geocoders = require('./geocoders');
+geocoders.configure({ googleKey: GOOGLE_MAPS_KEY, checkGoogleUsage: checkAndIncrementGoogleUsage });
+// Route polylines cache: memory + RouteCache table tiers with a spatial index (see routeCacheManager.js)
+const routeCache = require('./routeCacheManager');
+// Routing provider chain (Google Directions, OSRM, straight-line); shares the Google usage counter
+const routing = require('./routingProviders');
+const { encodePolyline } = require('./polylineUtils');
+routing.configure({ googleKey: GOOGLE_MAPS_KEY, checkGoogleUsage: checkAndIncrementGoogleUsage });
 
 async function buildRouteForBus(b) {
   // b: bus record including stops
   const morningStops = (b.stops || []).filter(s => s.period === 'MORNING').sort((x, y) => x.order - y.order);
   const eveningStops = (b.stops || []).filter(s => s.period === 'EVENING').sort((x, y) => x.order - y.order);
 
+  // Returns { path, provider }
   const buildForStops = async (stopsArr) => {
-    if (!stopsArr || stopsArr.length === 0) return [];
-    if (stopsArr.length === 1) return [{ lat: stopsArr[0].lat, lng: stopsArr[0].lng }];
+    if (!stopsArr || stopsArr.length === 0) return { path: [], provider: null };
+    if (stopsArr.length === 1) return { path: [{ lat: stopsArr[0].lat, lng: stopsArr[0].lng }], provider: 'straight-line' };
     const origin = { lat: stopsArr[0].lat, lng: stopsArr[0].lng };
     const destination = { lat: stopsArr[stopsArr.length - 1].lat, lng: stopsArr[stopsArr.length - 1].lng };
     const waypoints = stopsArr.slice(1, -1).map(s => ({ lat: s.lat, lng: s.lng }));
     try {
-      const path = await getRoutePath(origin, destination, waypoints);
-      return path;
+      return await getRoutePath(origin, destination, waypoints);
     } catch (e) {
       // fallback to straight-line points
-      return stopsArr.map(s => ({ lat: s.lat, lng: s.lng }));
+      return { path: stopsArr.map(s => ({ lat: s.lat, lng: s.lng })), provider: 'straight-line' };
     }
   };
 
-  const morningRoute = await buildForStops(morningStops);
-  const eveningRoute = await buildForStops(eveningStops);
-  return { morningRoute, eveningRoute };
+  const morning = await buildForStops(morningStops);
+  const evening = await buildForStops(eveningStops);
+  return {
+    morningRoute: morning.path,
+    eveningRoute: evening.path,
+    providers: { MORNING: morning.provider, EVENING: evening.provider }
+  };
 }
 
-async function buildAllRoutePolylines() {
+// Past unserved bus requests are re-checked whenever a route changes (see routeCoverage.js)
+const routeCoverage = require('./routeCoverage');
+routeCoverage.configure({ distanceToPath: getMinDistanceToPath, nearestStop: nearestStopTo });
+
+/**
+ * Re-check past unserved requests against the given buses' new routes and
+ * emit `routeCoverageReport`. Failures are logged, never thrown.
+ */
+async function checkRouteCoverage(busIds, trigger) {
   try {
-    logger.info('Building all route polylines (may use Google Directions API)');
-    const buses = await prisma.bus.findMany({ include: { stops: true } });
-    for (const b of buses) {
-      try {
-        const routes = await buildRouteForBus(b);
-        routePolylinesCache.set(b.id, routes);
-      } catch (e) {
-        logger.warn('Failed building route for bus', { busId: b.id, error: e && e.message });
-      }
-    }
-    saveRouteCacheToDisk();
-    logger.info('Finished building route polylines', { cached: routePolylinesCache.size });
+    const report = await routeCoverage.checkBuses(busIds, { trigger });
+    io.emit('routeCoverageReport', { id: report.id, busNumbers: report.busNumbers, coveredRequests: report.coveredRequests, coveredLogs: report.coveredLogs, queued: report.queued });
   } catch (e) {
-    logger.error('Failed to build all route polylines', { error: e && e.message });
+    logger.warn('Route coverage check failed', { busIds, trigger, error: e && e.message });
   }
 }
 
-// Load persisted cache on startup (non-blocking)
-loadRouteCacheFromDisk();
-// Schedule-controlled background refresh to ensure up-to-date routes when server starts
-// Avoid running an immediate, synchronous rebuild which can trigger repeated
-// work during dev when files are being written and nodemon watches the tree.
-const ROUTE_BUILD_COOLDOWN_MS = parseInt(process.env.ROUTE_BUILD_COOLDOWN_MS || '300000', 10); // default 5 minutes
-let _lastRouteBuildTs = 0;
-let _routeRebuildTimer = null;
+routeCache.configure({
+  buildRoutes: buildRouteForBus,
+  // Full rebuilds (startup, /api/admin/rebuild-routes, periodic refresh) change routes too
+  onRebuilt: (busIds, { force }) => checkRouteCoverage(busIds, force ? 'rebuild' : 'scheduled')
+});
+// Startup: warm the memory tier from the database and build only missing routes.
+// Goes through the debounced scheduler to avoid re-entrancy when nodemon restarts.
+routeCache.scheduleRebuild();
 
-function scheduleRouteCacheRebuild(immediate = false) {
+/**
+ * Rebuild one bus's morning/evening polylines after an admin edit without
+ * blocking the response. Emits `routeUpdated` once the new route is cached,
+ * then `routeCoverageReport` once past requests were checked against it.
+ */
+async function refreshBusRoutes(busId) {
   try {
-    if (_routeRebuildTimer) {
-      clearTimeout(_routeRebuildTimer);
-      _routeRebuildTimer = null;
-    }
-    const now = Date.now();
-    const since = now - _lastRouteBuildTs;
-    const delay = immediate ? 0 : Math.max(0, ROUTE_BUILD_COOLDOWN_MS - since);
-    _routeRebuildTimer = setTimeout(async () => {
-      _routeRebuildTimer = null;
-      _lastRouteBuildTs = Date.now();
-      try {
-        logger.info('Scheduled: starting route polylines build');
-        await buildAllRoutePolylines();
-      } catch (e) {
-        logger.warn('Scheduled route build failed', { error: e && e.message });
-      }
-    }, delay);
-    logger.debug('Route cache rebuild scheduled', { immediate, delay });
+    const entry = await routeCache.refreshBus(busId);
+    if (!entry) return; // bus deleted meanwhile
+    const bus = await prisma.bus.findUnique({ where: { id: busId }, select: { number: true } });
+    const payload = {
+      busId,
+      busNumber: bus ? String(bus.number) : null,
+      morningPoints: entry.morningRoute.length,
+      eveningPoints: entry.eveningRoute.length,
+      builtAt: new Date(entry.builtAt).toISOString()
+    };
+    io.emit('routeUpdated', payload);
+    logger.info('Bus route rebuilt', payload);
   } catch (e) {
-    logger.warn('Failed to schedule route cache rebuild', { error: e && e.message });
+    logger.warn('Failed to rebuild bus route', { busId, error: e && e.message });
+    return;
   }
+  await checkRouteCoverage([busId], 'route-updated');
 }
 
-// Perform a single startup rebuild but via scheduler to avoid immediate re-entrancy.
-scheduleRouteCacheRebuild(false);
+// FORWARD entries of the GeocodeCache table, in the shape the geocoder chain expects.
+// The whole candidate list is kept; entries without one (older or admin-corrected)
+// act as a single candidate.
+const forwardGeocodeCache = {
+  async get(query) {
+    const hit = await geocodeCache.get('FORWARD', geocodeCache.normalizeQuery(query));
+    if (!hit || hit.lat == null || hit.lng == null) return null;
+    if (Array.isArray(hit.candidates) && hit.candidates.length) {
+      return hit.candidates.map(c => ({ ...c, provider: c.provider || hit.provider }));
+    }
+    return [{ lat: hit.lat, lng: hit.lng, formatted_address: hit.formattedAddress, provider: hit.provider }];
+  },
+  set(query, candidates) {
+    const top = candidates[0];
+    return geocodeCache.set('FORWARD', geocodeCache.normalizeQuery(query), {
+      lat: top.lat,
+      lng: top.lng,
+      formattedAddress: top.formatted_address,
+      provider: top.provider,
+      candidates: candidates.map(c => ({ lat: c.lat, lng: c.lng, formatted_address: c.formatted_address || null, provider: c.provider }))
+    });
+  }
+};
 
 /**
- * STEP 2: Geocode a place name -> { lat, lng, formatted_address }
- * Converts location name (e.g., "Vijayawada Railway Station") to coordinates
- * Uses Google Geocoding if GOOGLE_MAPS_API_KEY is set, else throws.
- * Results are cached to reduce API calls.
+ * STEP 2: Geocode a place name -> { lat, lng, formatted_address, provider }
+ * Converts location name (e.g., "Vijayawada Railway Station") to coordinates through
+ * the geocoder chain (see geocoders.js, GEOCODER_PROVIDERS): local gazetteer of our
+ * stops and landmarks, then Google, then Nominatim. `provider` reports the tier that
+ * answered. Remote results are cached in the GeocodeCache table under the normalized query.
  */
 async function geocodeLocation(locationName) {
   if (!locationName || typeof locationName !== 'string') throw new Error('Invalid location for geocoding');
-  const key = locationName.trim().toLowerCase();
-  if (geocodeCache.has(key)) return geocodeCache.get(key);
+  const out = await geocoders.geocode(locationName, { cache: forwardGeocodeCache });
+  if (!out) throw new Error(`Geocode failed: no geocoder found "${locationName}"`);
+  return out;
+}
 
-  // If no Google Maps key is configured, fall back to Nominatim (OpenStreetMap)
-  if (!GOOGLE_MAPS_KEY) {
-    return nominatimGeocode(locationName);
-  }
+// Candidate IDs are short-lived signed tokens carrying the coordinates, so a pick from
+// /api/geocode can be sent back to /api/check-availability without geocoding again
+const GEOCODE_CANDIDATE_AUDIENCE = 'geocode-candidate';
 
-  // Enforce daily usage limit for Google API calls
-  if (!checkAndIncrementGoogleUsage()) {
-    throw new Error('Google Maps daily usage limit exceeded');
-  }
+function signGeocodeCandidate(c) {
+  return jwt.sign(
+    { lat: c.lat, lng: c.lng, address: c.formatted_address || null, provider: c.provider || null },
+    JWT_SECRET,
+    { expiresIn: '1h', audience: GEOCODE_CANDIDATE_AUDIENCE }
+  );
+}
 
-  // Preprocess: If a state (administrative area) env is provided and not already in the query, append it
-  const statePref = process.env.GEOCODE_STATE || '';
-  const cityPref = process.env.GEOCODE_CITY || '';
-  let queryAugmented = locationName.trim();
-  if (statePref && !new RegExp(statePref.replace(/[-/\\^$*+?.()|[\]{}]/g,'\\$&'), 'i').test(queryAugmented)) {
-    queryAugmented += `, ${statePref}`;
-  }
-  if (cityPref && !new RegExp(cityPref.replace(/[-/\\^$*+?.()|[\]{}]/g,'\\$&'), 'i').test(queryAugmented) && /market|station|bus|stand|center|centre|college/i.test(queryAugmented)) {
-    // If query looks like a POI and city isn't present, append city
-    queryAugmented += `, ${cityPref}`;
+/** Candidate from a candidate ID, or null when invalid/expired. */
+function verifyGeocodeCandidate(id) {
+  try {
+    const payload = jwt.verify(String(id), JWT_SECRET, { audience: GEOCODE_CANDIDATE_AUDIENCE });
+    const lat = Number(payload.lat);
+    const lng = Number(payload.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+    return { lat, lng, formatted_address: payload.address || null, provider: payload.provider || null };
+  } catch (e) {
+    return null;
   }
-
-  const q = encodeURIComponent(queryAugmented);
-  const country = process.env.GEOCODE_COUNTRY || '';
-  const region = process.env.GEOCODE_REGION || '';
-  const components = [];
-  if (country) components.push(`country:${country}`);
-  // If statePref provided, include administrative_area component filter (Google supports 'administrative_area')
-  if (statePref) components.push(`administrative_area:${encodeURIComponent(statePref)}`);
-  if (cityPref) components.push(`locality:${encodeURIComponent(cityPref)}`);
-  let url = `https://maps.googleapis.com/maps/api/geocode/json?address=${q}&key=${GOOGLE_MAPS_KEY}`;
-  if (components.length) url += `&components=${components.join('|')}`;
-  if (region) url += `&region=${region}`; // region bias (ccTLD style)
-
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let body = '';
-      res.on('data', c => body += c);
-      res.on('end', () => {
-        try {
-          const j = JSON.parse(body);
-          if (j.status === 'OK' && Array.isArray(j.results) && j.results.length) {
-            const stateNorm = statePref ? statePref.toLowerCase() : '';
-            const cityNorm = cityPref ? cityPref.toLowerCase() : '';
-            // Prefer result whose address components match desired state & city if provided
-            let chosen = null;
-            for (const r of j.results) {
-              const comps = Array.isArray(r.address_components) ? r.address_components : [];
-              const compNames = comps.map(c => c.long_name.toLowerCase());
-              const compTypes = comps.map(c => c.types).flat();
-              const hasState = stateNorm && compNames.includes(stateNorm);
-              const hasCity = cityNorm && compNames.includes(cityNorm);
-              // Prioritize: both state + city > state only > city only > first result
-              if (!chosen || (stateNorm && cityNorm && hasState && hasCity) || (stateNorm && hasState && !cityNorm) || (cityNorm && hasCity && !stateNorm)) {
-                // If both required, ensure this one matches both before selecting definitively
-                if (stateNorm && cityNorm) {
-                  if (hasState && hasCity) { chosen = r; break; }
-                } else if (stateNorm && hasState) { chosen = r; break; }
-                else if (cityNorm && hasCity) { chosen = r; break; }
-                else if (!stateNorm && !cityNorm && !chosen) { chosen = r; }
-                else if (!chosen) { chosen = r; }
-              }
-            }
-            if (!chosen) chosen = j.results[0];
-            const loc = chosen.geometry.location;
-            const out = { lat: loc.lat, lng: loc.lng, formatted_address: chosen.formatted_address };
-            geocodeCache.set(key, out);
-            return resolve(out);
-          }
-          // If Google didn't return results, try Nominatim as a fallback
-          return nominatimGeocode(locationName).then((resGeo) => {
-            if (resGeo) return resolve(resGeo);
-            return reject(new Error(`Geocode failed: ${j.status || 'NO_RESULTS'}`));
-          }).catch(() => reject(new Error(`Geocode failed: ${j.status || 'NO_RESULTS'}`)));
-        } catch (err) { reject(err); }
-      });
-    }).on('error', reject);
-  });
 }
 
-// Google Places helper removed: we rely on `geocodeLocation` (regional-first) and Nominatim fallback.
-
 /**
- * Nominatim (OpenStreetMap) geocoding fallback
- * Returns { lat, lng, formatted_address } or throws
+ * Ranked candidates for a place name (see geocoders.rankCandidates): plausible
+ * matches near campus first, each with `distanceFromCampusKm` and a candidate `id`.
  */
-function nominatimGeocode(locationName) {
-  return new Promise((resolve, reject) => {
-    try {
-      const q = encodeURIComponent(locationName);
-      const nomUrl = `https://nominatim.openstreetmap.org/search?q=${q}&format=json&limit=1`;
-      const opts = new URL(nomUrl);
-      const reqOpts = { hostname: opts.hostname, path: opts.pathname + opts.search, method: 'GET', headers: { 'User-Agent': 'BusTransportApp/1.0' } };
-      https.get(reqOpts, (res) => {
-        let body = '';
-        res.on('data', c => body += c);
-        res.on('end', () => {
-          try {
-            const arr = JSON.parse(body);
-            if (Array.isArray(arr) && arr.length > 0) {
-              const first = arr[0];
-              const out = { lat: parseFloat(first.lat), lng: parseFloat(first.lon), formatted_address: first.display_name };
-              geocodeCache.set(locationName.trim().toLowerCase(), out);
-              return resolve(out);
-            }
-            return resolve(null);
-          } catch (e) { return reject(e); }
-        });
-      }).on('error', (e) => reject(e));
-    } catch (e) { reject(e); }
-  });
+async function geocodeLocationCandidates(locationName) {
+  if (!locationName || typeof locationName !== 'string') throw new Error('Invalid location for geocoding');
+  const found = await geocoders.geocodeCandidates(locationName, { cache: forwardGeocodeCache });
+  if (!found.length) throw new Error(`Geocode failed: no geocoder found "${locationName}"`);
+  const campus = await geocoders.getCampusLocation();
+  return geocoders.rankCandidates(found, campus).map(c => ({
+    id: signGeocodeCandidate(c),
+    lat: c.lat,
+    lng: c.lng,
+    formatted_address: c.formatted_address || null,
+    provider: c.provider,
+    distanceFromCampusKm: c.distanceFromCampusKm,
+    plausible: c.plausible
+  }));
 }
 
-// Server-side geocoding endpoint (POST) - resolves place name to coords
+// Server-side geocoding endpoint (POST) - resolves place name to ranked candidates.
+// `location` is the best candidate; `ambiguous` is true when more than one plausible
+// candidate exists and the user should pick one (send its `id` as candidateId).
 app.post('/api/geocode', async (req, res) => {
   try {
     const location = req.body && req.body.location;
     if (!location || typeof location !== 'string') return res.status(400).json({ success: false, message: 'location string required' });
     try {
-      const geo = await geocodeLocation(location);
-      return res.json({ success: true, location: geo });
+      const candidates = await geocodeLocationCandidates(location);
+      const ambiguous = candidates.filter(c => c.plausible).length > 1;
+      return res.json({ success: true, location: candidates[0], candidates, ambiguous });
     } catch (e) {
       return res.status(400).json({ success: false, message: e && e.message ? e.message : 'Geocoding failed' });
     }
@@ -631,6 +615,43 @@ app.post('/api/geocode', async (req, res) => {
   }
 });
 
+// Search-box suggestions: gazetteer, earlier searches, then the geocoder chain.
+// Partial queries are looked up in the geocode cache but never stored in it.
+const placeSuggestions = require('./placeSuggestions');
+const readOnlyGeocodeCache = { get: (query) => forwardGeocodeCache.get(query), set: async () => {} };
+placeSuggestions.configure({ geocodeCandidates: (query) => geocoders.geocodeCandidates(query, { cache: readOnlyGeocodeCache }) });
+
+const placeSuggestLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.PLACE_SUGGEST_PER_IP_PER_MINUTE || '60', 10),
+  message: { success: false, message: 'Too many suggestion requests, please slow down.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Location autocomplete (GET ?q=&limit=). Each suggestion carries a candidate `id`
+// usable as candidateId in /api/check-availability, like /api/geocode candidates.
+app.get('/api/places/suggest', placeSuggestLimiter, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length > 100) return res.status(400).json({ success: false, message: 'q must be at most 100 characters' });
+    if (q.length < 2) return res.json({ success: true, suggestions: [] });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), 10);
+    const found = await placeSuggestions.suggest(q, { limit });
+    const suggestions = found.map(s => ({
+      id: signGeocodeCandidate({ lat: s.lat, lng: s.lng, formatted_address: s.label, provider: s.source }),
+      label: s.label,
+      lat: s.lat,
+      lng: s.lng,
+      source: s.source
+    }));
+    return res.json({ success: true, suggestions });
+  } catch (e) {
+    logger.error('Place suggestions failed', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to load suggestions' });
+  }
+});
+
 // Server-side reverse geocoding endpoint (POST) - resolves coords to formatted address
 app.post('/api/reverse-geocode', async (req, res) => {
   try {
@@ -663,18 +684,19 @@ app.get('/api/maps-key', (req, res) => {
 
 /**
  * Reverse geocode coordinates -> place name (formatted address)
- * Caches results to minimize API calls.
+ * Caches results in the GeocodeCache table to minimize API calls.
  */
 async function reverseGeocode(lat, lng) {
-  const key = `${Number(lat).toFixed(6)},${Number(lng).toFixed(6)}`;
-  if (reverseGeocodeCache.has(key)) return reverseGeocodeCache.get(key);
+  const key = geocodeCache.reverseKey(lat, lng);
+  const cached = await geocodeCache.get('REVERSE', key);
+  if (cached && cached.formattedAddress) return cached.formattedAddress;
 
   // If no Google Maps key is configured, fall back to Nominatim reverse geocoding
   if (!GOOGLE_MAPS_KEY) {
     try {
       const addr = await nominatimReverse(lat, lng);
       if (addr) {
-        reverseGeocodeCache.set(key, addr);
+        await geocodeCache.set('REVERSE', key, { lat, lng, formattedAddress: addr, provider: 'nominatim' });
         return addr;
       }
     } catch (e) {
@@ -694,7 +716,7 @@ async function reverseGeocode(lat, lng) {
           const j = JSON.parse(body);
           if (j.status === 'OK' && j.results && j.results[0]) {
             const addr = j.results[0].formatted_address;
-            reverseGeocodeCache.set(key, addr);
+            geocodeCache.set('REVERSE', key, { lat, lng, formattedAddress: addr, provider: 'google' });
             resolve(addr);
           } else {
             resolve(null);
@@ -727,12 +749,25 @@ function nominatimReverse(lat, lng) {
 
 /**
  * Geocode by lat,lng -> { formatted_address, lat, lng }
- * Uses Google Geocoding API when key is available, else falls back to Nominatim
+ * Uses Google Geocoding API when key is available, else falls back to Nominatim.
+ * Shares the REVERSE entries of the GeocodeCache table with reverseGeocode; raw
+ * coordinate fallbacks (no address found) are not cached.
  */
 async function geocodeLatLng(lat, lng) {
   const nLat = Number(lat); const nLng = Number(lng);
   if (Number.isNaN(nLat) || Number.isNaN(nLng)) throw new Error('Invalid lat/lng');
 
+  const key = geocodeCache.reverseKey(nLat, nLng);
+  const cached = await geocodeCache.get('REVERSE', key);
+  if (cached && cached.formattedAddress) {
+    return { formatted_address: cached.formattedAddress, lat: cached.lat ?? nLat, lng: cached.lng ?? nLng };
+  }
+  // Cache a Nominatim address for these coordinates and return the public shape
+  const fromNominatim = (addr) => {
+    if (addr) geocodeCache.set('REVERSE', key, { lat: nLat, lng: nLng, formattedAddress: addr, provider: 'nominatim' });
+    return { formatted_address: addr || `${nLat}, ${nLng}`, lat: nLat, lng: nLng };
+  };
+
   // Prefer Google Geocoding when key present
   if (GOOGLE_MAPS_KEY) {
     if (!checkAndIncrementGoogleUsage()) throw new Error('Google Maps daily usage limit exceeded');
@@ -747,15 +782,16 @@ async function geocodeLatLng(lat, lng) {
             if (j.status === 'OK' && j.results && j.results[0]) {
               const r = j.results[0];
               const loc = r.geometry && r.geometry.location ? r.geometry.location : { lat: nLat, lng: nLng };
+              if (r.formatted_address) geocodeCache.set('REVERSE', key, { lat: loc.lat, lng: loc.lng, formattedAddress: r.formatted_address, provider: 'google' });
               return resolve({ formatted_address: r.formatted_address || `${nLat}, ${nLng}`, lat: loc.lat, lng: loc.lng });
             }
             // fallback to nominatim
-            return nominatimReverse(nLat, nLng).then(addr => resolve({ formatted_address: addr || `${nLat}, ${nLng}`, lat: nLat, lng: nLng })).catch(() => resolve({ formatted_address: `${nLat}, ${nLng}`, lat: nLat, lng: nLng }));
+            return nominatimReverse(nLat, nLng).then(addr => resolve(fromNominatim(addr))).catch(() => resolve({ formatted_address: `${nLat}, ${nLng}`, lat: nLat, lng: nLng }));
           } catch (e) { return reject(e); }
         });
       }).on('error', (e) => {
         // fallback
-        nominatimReverse(nLat, nLng).then(addr => resolve({ formatted_address: addr || `${nLat}, ${nLng}`, lat: nLat, lng: nLng })).catch(() => resolve({ formatted_address: `${nLat}, ${nLng}`, lat: nLat, lng: nLng }));
+        nominatimReverse(nLat, nLng).then(addr => resolve(fromNominatim(addr))).catch(() => resolve({ formatted_address: `${nLat}, ${nLng}`, lat: nLat, lng: nLng }));
       });
     });
   }
@@ -763,92 +799,33 @@ async function geocodeLatLng(lat, lng) {
   // No Google key: use Nominatim reverse and return lat/lng as provided
   try {
     const addr = await nominatimReverse(nLat, nLng);
-    return { formatted_address: addr || `${nLat}, ${nLng}`, lat: nLat, lng: nLng };
+    return fromNominatim(addr);
   } catch (e) {
     return { formatted_address: `${nLat}, ${nLng}`, lat: nLat, lng: nLng };
   }
 }
 
-/**
- * Decode Google's polyline string -> [{lat, lng}, ...]
- */
-function decodePolyline(encoded) {
-  if (!encoded) return [];
-  let index = 0, lat = 0, lng = 0, coords = [];
-  while (index < encoded.length) {
-    let shift = 0, result = 0, b;
-    do { b = encoded.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
-    lat += (result & 1) ? ~(result >> 1) : (result >> 1);
-
-    shift = 0; result = 0;
-    do { b = encoded.charCodeAt(index++) - 63; result |= (b & 0x1f) << shift; shift += 5; } while (b >= 0x20);
-    lng += (result & 1) ? ~(result >> 1) : (result >> 1);
-
-    coords.push({ lat: lat * 1e-5, lng: lng * 1e-5 });
-  }
-  return coords;
-}
-
 /**
  * STEP 4: Generate route path as array of MINI POINTS
  * Creates a route polyline (array of {lat,lng}) between origin and destination with optional waypoints.
- * Uses Google Directions API to generate actual road paths with MANY intermediate points.
+ * Routing goes through the configured provider chain (see routingProviders.js, ROUTING_PROVIDERS):
+ * Google Directions, then a self-hosted OSRM-compatible server, then straight lines.
  * 
- * CRITICAL: This function returns HUNDREDS of mini points along the route, not just the bus stops!
- * The Google Directions API polyline contains every curve and turn of the actual road.
- * 
- * If Google Directions fails or key missing, returns straight-line sequence through supplied points.
- * This encoded route array is then checked against the 1.5km circle for intersection.
+ * CRITICAL: Road providers return HUNDREDS of mini points along the route, not just the bus stops!
+ * Only the straight-line fallback returns the supplied points themselves.
+ * This route array is then checked against the 1.5km circle for intersection.
  * 
  * @param {Object} origin - {lat, lng} or Stop-like object
  * @param {Object} destination - {lat, lng} or Stop-like object
  * @param {Array} waypoints - Array of intermediate points
- * @returns {Array} Array of {lat, lng} points representing the FULL ROUTE (many mini points)
+ * @returns {Object} { path, provider } - path is the array of {lat, lng} points of the FULL ROUTE
+ *   (many mini points); provider is the name of the provider that produced it
  */
 async function getRoutePath(origin, destination, waypoints = []) {
   const o = origin.coords ? origin.coords : { lat: origin.lat, lng: origin.lng };
   const d = destination.coords ? destination.coords : { lat: destination.lat, lng: destination.lng };
   const wpList = (waypoints || []).map(w => w.coords ? w.coords : { lat: w.lat, lng: w.lng });
-
-  // Fallback straight-line path if no API key
-  if (!GOOGLE_MAPS_KEY) {
-    return [o, ...wpList, d].map(p => ({ lat: +p.lat, lng: +p.lng }));
-  }
-
-  // Enforce daily usage limit for Google API calls
-  if (!checkAndIncrementGoogleUsage()) {
-    // fallback to straight-line if usage exceeded
-    return [o, ...wpList, d].map(p => ({ lat: +p.lat, lng: +p.lng }));
-  }
-
-  const originStr = `${o.lat},${o.lng}`;
-  const destStr = `${d.lat},${d.lng}`;
-  const wpStr = wpList.map(p => `${p.lat},${p.lng}`).join('|');
-
-  const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${originStr}&destination=${destStr}&key=${GOOGLE_MAPS_KEY}&mode=driving${wpStr ? `&waypoints=${encodeURIComponent(wpStr)}` : ''}`;
-
-  return new Promise((resolve) => {
-    https.get(url, res => {
-      let body = '';
-      res.on('data', c => body += c);
-      res.on('end', () => {
-        try {
-          const j = JSON.parse(body);
-                     if (j.status === 'OK' && j.routes && j.routes[0] && j.routes[0].overview_polyline) {
-             // Decode the polyline which contains HUNDREDS of mini points along the route
-             const decoded = decodePolyline(j.routes[0].overview_polyline.points);
-             return resolve(decoded);
-           }
-         } catch (e) {
-           // Silent fallback
-         }
-         // fallback to raw points (just bus stops)
-        resolve([o, ...wpList, d].map(p => ({ lat: +p.lat, lng: +p.lng })));
-      });
-    }).on('error', () => {
-      resolve([o, ...wpList, d].map(p => ({ lat: +p.lat, lng: +p.lng })));
-    });
-  });
+  return routing.routeThrough([o, ...wpList, d]);
 }
 
 /**
@@ -856,42 +833,29 @@ async function getRoutePath(origin, destination, waypoints = []) {
  * Determines whether a polyline (array of route points) intersects a circle
  * centered at userLocation with given radius (in meters).
  * 
- * CRITICAL: The path parameter contains HUNDREDS of mini points from the Google Directions API.
- * This function checks EVERY mini point and EVERY segment between points.
- * It's NOT just checking bus stops - it's checking the ENTIRE ROUTE!
+ * CRITICAL: The path parameter contains HUNDREDS of mini points from the Google Directions API,
+ * but for straight-line fallback routes it may only contain the bus stops themselves.
+ * Checking vertices alone misses routes that pass close by between two distant stops,
+ * so this function measures the true distance to EVERY segment of the path.
  * 
  * Algorithm:
- * 1. Check if ANY of the hundreds of mini points is within the circle
- * 2. Check if ANY segment (between consecutive mini points) crosses the circle boundary
+ * 1. For each segment (between consecutive points) project the user location onto it
+ * 2. Take the minimum point-to-segment distance across the whole polyline
+ * 3. The path intersects when that minimum is within the radius
  * 
  * @param {Object} userLocation - {lat, lng} center of the circle
  * @param {Array} path - Array of {lat, lng} points representing the FULL ROUTE (many mini points)
  * @param {Number} radiusMeters - Radius of the circle in meters (typically 1500 for 1.5km)
- * @returns {Boolean} True if ANY point or segment of the path intersects the circle
+ * @returns {Boolean} True if ANY segment of the path comes within radiusMeters of userLocation
  */
 function isPathIntersectsCircle(userLocation, path, radiusMeters) {
   if (!path || path.length === 0) return false;
-  const center = { latitude: userLocation.lat, longitude: userLocation.lng };
-  // Check if ANY mini point is inside circle -> intersects
-  // Use per-point distance checks only (matches requested algorithm).
-  // This avoids any discrepancies from segment-distance helper implementations.
-  let minDist = Infinity;
-  let minIndex = -1;
-  for (let i = 0; i < path.length; i++) {
-    const p = path[i];
-    const lat = Number(p.lat);
-    const lng = Number(p.lng);
-    if (Number.isNaN(lat) || Number.isNaN(lng)) continue;
-    const d = getDistance({ latitude: lat, longitude: lng }, center);
-    if (d < minDist) { minDist = d; minIndex = i; }
-    if (d <= radiusMeters) {
-      logger.debug('Path intersects circle by point', { index: i, distanceMeters: d, radiusMeters });
-      return true;
-    }
+  const { minDist, segmentIndex } = getMinDistanceToPath(userLocation, path);
+  if (minDist <= radiusMeters) {
+    logger.debug('Path intersects circle by segment', { segmentIndex, distanceMeters: minDist, radiusMeters });
+    return true;
   }
-
-  // If no point was within the radius, return false (no intersection)
-  logger.debug('Path did not intersect (point-only check)', { minDist, minIndex, radiusMeters });
+  logger.debug('Path did not intersect (segment check)', { minDist, segmentIndex, radiusMeters });
   return false;
 }
 
@@ -947,52 +911,127 @@ function crossTrackDistanceMeters(a, b, c) {
   return Math.abs(xt * R);
 }
 
-// Compute the along-track distance from a to closest point to c on a->b (meters)
+// Compute the signed along-track distance from a to closest point to c on a->b (meters).
+// Negative when the projection of c falls behind a.
 function alongTrackDistanceMeters(a, b, c) {
   const R = 6371000;
   const d13 = haversineDistance(a, c) / R;
   const theta13 = bearingRad(a, c);
   const theta12 = bearingRad(a, b);
-  const at = Math.acos(Math.cos(d13) / Math.cos(Math.asin(Math.sin(d13) * Math.sin(theta13 - theta12))));
-  return at * R;
+  const dxt = Math.asin(Math.sin(d13) * Math.sin(theta13 - theta12));
+  const ratio = Math.max(-1, Math.min(1, Math.cos(d13) / Math.cos(dxt)));
+  const at = Math.acos(ratio) * R;
+  return Math.cos(theta13 - theta12) < 0 ? -at : at;
 }
 
-// Distance from point c to segment a-b (meters). Uses cross-track when projection lies on segment,
-// otherwise returns min(distance to endpoints).
-function pointToSegmentDistanceMeters(a, b, c) {
-  try {
-    const A = { latitude: a.lat || a.latitude, longitude: a.lng || a.longitude };
-    const B = { latitude: b.lat || b.latitude, longitude: b.lng || b.longitude };
-    const C = { latitude: c.lat || c.latitude, longitude: c.lng || c.longitude };
+// Point reached from a after travelling distanceMeters along the initial bearing (radians)
+function destinationPoint(a, bearing, distanceMeters) {
+  const R = 6371000;
+  const delta = distanceMeters / R;
+  const lat1 = toRad(a.latitude); const lon1 = toRad(a.longitude);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(bearing));
+  const lon2 = lon1 + Math.atan2(Math.sin(bearing) * Math.sin(delta) * Math.cos(lat1), Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+  return { lat: toDeg(lat2), lng: toDeg(lon2) };
+}
+
+function toGeoPoint(p) {
+  return { latitude: Number(p.lat ?? p.latitude), longitude: Number(p.lng ?? p.longitude) };
+}
+
+// Closest point to c on segment a-b. Returns { distance, point: {lat,lng} } where distance is
+// in meters. Uses cross-track when the projection lies on the segment, otherwise the nearer endpoint.
+function projectPointOnSegment(a, b, c) {
+  const A = toGeoPoint(a); const B = toGeoPoint(b); const C = toGeoPoint(c);
+  const endpoint = (P) => ({ distance: haversineDistance(P, C), point: { lat: P.latitude, lng: P.longitude } });
+
+  const distAB = haversineDistance(A, B);
+  if (distAB === 0) return endpoint(A);
 
-    const distAB = haversineDistance(A, B);
-    if (distAB === 0) return haversineDistance(A, C);
+  const at = alongTrackDistanceMeters(A, B, C);
+  if (at <= 0) return endpoint(A);
+  if (at >= distAB) return endpoint(B);
 
-    const at = alongTrackDistanceMeters(A, B, C);
-    if (at < 0) return haversineDistance(A, C);
-    if (at > distAB) return haversineDistance(B, C);
+  // projection lies on segment -> use cross-track
+  return { distance: crossTrackDistanceMeters(A, B, C), point: destinationPoint(A, bearingRad(A, B), at) };
+}
 
-    // projection lies on segment -> use cross-track
-    return crossTrackDistanceMeters(A, B, C);
+// Distance from point c to segment a-b (meters).
+function pointToSegmentDistanceMeters(a, b, c) {
+  try {
+    return projectPointOnSegment(a, b, c).distance;
   } catch (e) {
     return Infinity;
   }
 }
 
+/**
+ * Minimum distance from userLocation to a polyline, measured against every segment.
+ * Returns { minDist, segmentIndex, closestPoint } where segmentIndex is the index of the
+ * segment start vertex (path[i] -> path[i+1]) and closestPoint is the projected point on it.
+ * A single-point path is treated as a degenerate segment at index 0.
+ */
+function getMinDistanceToPath(userLocation, path) {
+  let minDist = Infinity;
+  let segmentIndex = -1;
+  let closestPoint = null;
+  if (!Array.isArray(path) || path.length === 0) return { minDist, segmentIndex, closestPoint };
+  const isValid = (p) => p && !Number.isNaN(Number(p.lat)) && !Number.isNaN(Number(p.lng));
+  if (path.length === 1) {
+    if (!isValid(path[0])) return { minDist, segmentIndex, closestPoint };
+    const only = projectPointOnSegment(path[0], path[0], userLocation);
+    return { minDist: only.distance, segmentIndex: 0, closestPoint: only.point };
+  }
+  for (let i = 0; i < path.length - 1; i++) {
+    if (!isValid(path[i]) || !isValid(path[i + 1])) continue;
+    const proj = projectPointOnSegment(path[i], path[i + 1], userLocation);
+    if (proj.distance < minDist) { minDist = proj.distance; segmentIndex = i; closestPoint = proj.point; }
+  }
+  return { minDist, segmentIndex, closestPoint };
+}
+
+/**
+ * Closest stop to userLocation by straight-line (walking) distance.
+ * @returns {Object|null} { name, lat, lng, distanceMeters }
+ */
+function nearestStopTo(userLocation, stops) {
+  let best = null;
+  for (const s of stops || []) {
+    const d = getDistance(
+      { latitude: userLocation.lat, longitude: userLocation.lng },
+      { latitude: s.lat, longitude: s.lng }
+    );
+    if (!best || d < best.distanceMeters) best = { name: s.name, lat: s.lat, lng: s.lng, distanceMeters: d };
+  }
+  return best;
+}
+
 /**
  * Main helper: find buses whose route intersects a circle of radiusKm around userLocation.
- * Returns array of bus objects with nearby stop count and basic metadata.
+ * options.period ('MORNING' | 'EVENING' | 'BOTH') restricts which routes are checked.
+ * Returns array of bus objects with nearby stop count, per-period nearest boarding stop and
+ * route distance, sorted by the distance from the user to the route (closest first).
  * 
  * Workflow:
  * 1. Takes input location (place name or coordinates)
  * 2. Converts to geocodes if needed
  * 3. Draws 1.5km radius circle from that point
- * 4. Checks if bus route (encoded as array of points) intersects the circle
- * 5. Returns buses with intersecting routes
+ * 4. Narrows the fleet to candidate buses using the route spatial index
+ * 5. Checks if bus route (encoded as array of points) intersects the circle
+ * 6. Returns buses with intersecting routes
  */
- async function findNearbyBusesDb(userLocation, radiusKm = DEFAULT_RADIUS_KM) {
+ async function findNearbyBusesDb(userLocation, radiusKm = DEFAULT_RADIUS_KM, options = {}) {
    const radiusMeters = radiusKm * 1000;
-   const buses = await prisma.bus.findMany({ include: { stops: true } });
+   // period: 'MORNING', 'EVENING' or 'BOTH' (default) - limits which routes are checked
+   const period = options.period || 'BOTH';
+   // Only load buses the spatial index reports near the user, plus any bus whose
+   // routes are not indexed yet (those must still be checked the slow way).
+   const candidates = routeCache.queryCandidates(userLocation, radiusMeters);
+   const indexedIds = routeCache.indexedBusIds();
+   const where = indexedIds.length
+     ? { OR: [{ id: { in: [...candidates.keys()] } }, { id: { notIn: indexedIds } }] }
+     : undefined;
+   const buses = await prisma.bus.findMany({ where, include: { stops: true } });
+   logger.debug('Spatial index candidates', { candidates: candidates.size, indexed: indexedIds.length, loaded: buses.length });
    const results = [];
 
   for (const b of buses) {
@@ -1003,6 +1042,16 @@ function pointToSegmentDistanceMeters(a, b, c) {
     let intersects = false;
     let nearbyStopCount = 0;
     let routeDetails = {};
+    // Cached (or freshly built) polylines for this bus's current stop set
+    let cachedRoutes = null;
+    try {
+      cachedRoutes = await routeCache.ensureRoutes(b);
+    } catch (e) {
+      logger.warn('Route cache lookup failed, using straight-line stops', { busId: b.id, error: e && e.message });
+    }
+    // Per-period match: { distanceMeters, segmentIndex, closestPoint, nearestStop } where
+    // distanceMeters is the distance to the route itself and nearestStop the closest boarding stop
+    const matches = { morning: null, evening: null };
 
     /**
      * Check route intersection with circle
@@ -1011,62 +1060,54 @@ function pointToSegmentDistanceMeters(a, b, c) {
      * @returns {Object} { intersects: boolean, stopCount: number, routePath: Array }
      */
     async function checkRouteStops(stopsArr, routeType) {
-      const result = { intersects: false, stopCount: 0, routePath: [] };
+      const result = { intersects: false, stopCount: 0, routePath: [], match: null };
       
       if (!stopsArr || stopsArr.length === 0) return result;
 
-      // Single stop: just check if it's within circle
-      if (stopsArr.length === 1) {
-        const s = stopsArr[0];
-        const dist = getDistance(
+      const countStopsInCircle = () => stopsArr.reduce((acc, s) => {
+        const d = getDistance(
           { latitude: userLocation.lat, longitude: userLocation.lng },
           { latitude: s.lat, longitude: s.lng }
         );
-        
-        if (dist <= radiusMeters) {
+        return acc + (d <= radiusMeters ? 1 : 0);
+      }, 0);
+
+      // Nearest boarding stop by straight-line (walking) distance from the user
+      const nearestStop = () => nearestStopTo(userLocation, stopsArr);
+
+      // Single stop: just check if it's within circle
+      if (stopsArr.length === 1) {
+        const s = stopsArr[0];
+        result.routePath = [{ lat: s.lat, lng: s.lng }];
+        const { minDist, segmentIndex, closestPoint } = getMinDistanceToPath(userLocation, result.routePath);
+        if (minDist <= radiusMeters) {
           result.intersects = true;
           result.stopCount = 1;
+          result.match = { distanceMeters: Math.round(minDist), segmentIndex, closestPoint, nearestStop: nearestStop() };
         }
-        result.routePath = [{ lat: s.lat, lng: s.lng }];
         return result;
       }
 
-      // Multiple stops: Prefer using precomputed route polyline cache to avoid
-      // making Directions API calls per-request. Fall back to generating path.
-      let path = [];
-      try {
-        const cached = routePolylinesCache.get(b.id);
-        if (cached && cached[routeType === 'MORNING' ? 'morningRoute' : 'eveningRoute'] && cached[routeType === 'MORNING' ? 'morningRoute' : 'eveningRoute'].length > 0) {
-          path = cached[routeType === 'MORNING' ? 'morningRoute' : 'eveningRoute'];
-        } else {
-          const origin = { lat: stopsArr[0].lat, lng: stopsArr[0].lng };
-          const destination = { lat: stopsArr[stopsArr.length - 1].lat, lng: stopsArr[stopsArr.length - 1].lng };
-          const waypoints = stopsArr.slice(1, -1).map(s => ({ lat: s.lat, lng: s.lng }));
-          path = await getRoutePath(origin, destination, waypoints);
-        }
-      } catch (e) {
-        // Fallback to straight-line connections between stops only
+      // Multiple stops: use the cached route polyline (built once per stop set by
+      // the route cache). Fall back to straight-line connections between stops.
+      let path = cachedRoutes && cachedRoutes[routeType === 'MORNING' ? 'morningRoute' : 'eveningRoute'];
+      if (!path || path.length === 0) {
         path = stopsArr.map(s => ({ lat: s.lat, lng: s.lng }));
       }
 
       // Store the FULL ROUTE path (hundreds of mini points) for reference
       result.routePath = path;
 
-      // Compute minimum distance from user location to any point on the path
-      const { minDist, minIndex } = getMinDistanceAlongPath(userLocation, path);
-      logger.debug('Route diagnostic', { busId: b.id, busNumber: b.number, routeType, pathLength: (path && path.length) || 0, minDist, minIndex, radiusMeters });
+      // Compute minimum distance from user location to any segment of the path
+      const { minDist, segmentIndex, closestPoint } = getMinDistanceToPath(userLocation, path);
+      logger.debug('Route diagnostic', { busId: b.id, busNumber: b.number, routeType, pathLength: (path && path.length) || 0, minDist, segmentIndex, radiusMeters });
 
       if (typeof minDist === 'number' && minDist <= radiusMeters) {
         result.intersects = true;
         // Count actual bus stops within the circle for reporting
-        result.stopCount = stopsArr.reduce((acc, s) => {
-          const d = getDistance(
-            { latitude: userLocation.lat, longitude: userLocation.lng },
-            { latitude: s.lat, longitude: s.lng }
-          );
-          return acc + (d <= radiusMeters ? 1 : 0);
-        }, 0);
-        logger.info('Route marked as intersecting by point-distance', { busNumber: b.number, routeType, minDist, minIndex, radiusMeters });
+        result.stopCount = countStopsInCircle();
+        result.match = { distanceMeters: Math.round(minDist), segmentIndex, closestPoint, nearestStop: nearestStop() };
+        logger.info('Route marked as intersecting by segment-distance', { busNumber: b.number, routeType, minDist, segmentIndex, radiusMeters });
       }
 
       return result;
@@ -1074,25 +1115,29 @@ function pointToSegmentDistanceMeters(a, b, c) {
 
     // Check both morning and evening routes
     try {
-      const morningCheck = await checkRouteStops(morningStops, 'MORNING');
+      const skipped = { intersects: false, stopCount: 0, routePath: [], match: null };
+      const morningCheck = period === 'EVENING' ? skipped : await checkRouteStops(morningStops, 'MORNING');
       if (morningCheck.intersects) {
         intersects = true;
         nearbyStopCount += morningCheck.stopCount;
-        routeDetails.morningRoute = morningCheck.routePath;
+        routeDetails.morningRoute = encodePolyline(morningCheck.routePath);
+        matches.morning = morningCheck.match;
       }
 
-      const eveningCheck = await checkRouteStops(eveningStops, 'EVENING');
+      const eveningCheck = period === 'MORNING' ? skipped : await checkRouteStops(eveningStops, 'EVENING');
       if (eveningCheck.intersects) {
         intersects = true;
         nearbyStopCount += eveningCheck.stopCount;
-        routeDetails.eveningRoute = eveningCheck.routePath;
+        routeDetails.eveningRoute = encodePolyline(eveningCheck.routePath);
+        matches.evening = eveningCheck.match;
       }
 
     } catch (err) {
       console.error(`Error checking routes for bus ${b.number}:`, err);
       
       // Fallback: check if any individual stops are within the circle
-      const fallbackCount = [...morningStops, ...eveningStops].reduce((acc, s) => {
+      const fallbackStops = [...(period === 'EVENING' ? [] : morningStops), ...(period === 'MORNING' ? [] : eveningStops)];
+      const fallbackCount = fallbackStops.reduce((acc, s) => {
         const d = getDistance(
           { latitude: userLocation.lat, longitude: userLocation.lng },
           { latitude: s.lat, longitude: s.lng }
@@ -1108,21 +1153,160 @@ function pointToSegmentDistanceMeters(a, b, c) {
 
      // If route intersects the circle, include this bus in results
      if (intersects) {
+       const matched = [matches.morning, matches.evening].filter(Boolean);
        results.push({
         busNumber: b.number,
         busName: b.name,
         location: b.location,
         totalNearbyStops: nearbyStopCount,
+        // Closest approach of either period's route, used for ranking
+        distanceMeters: matched.length ? Math.min(...matched.map(m => m.distanceMeters)) : null,
         morningStops: morningStops.map(s => ({ name: s.name, lat: s.lat, lng: s.lng })),
         eveningStops: eveningStops.map(s => ({ name: s.name, lat: s.lat, lng: s.lng })),
-                 routeDetails // Store the actual route paths for debugging/display
+        schedule: {
+          morningStartTime: b.morningStartTime || null,
+          morningEndTime: b.morningEndTime || null,
+          eveningStartTime: b.eveningStartTime || null,
+          eveningEndTime: b.eveningEndTime || null
+        },
+        matches,
+                 routeDetails // Matched route paths as encoded polylines, for debugging/display
        });
      }
    }
 
+   // Rank buses by how close their route passes; fallback matches without a distance go last
+   results.sort((x, y) => (x.distanceMeters ?? Infinity) - (y.distanceMeters ?? Infinity));
    return results;
 }
 
+/**
+ * Nearest routes when nothing passes within the search radius, so the user learns how
+ * far off the closest buses are. One entry per bus (its closer period), closest first,
+ * limited to routes within NEAREST_ALTERNATIVES_MAX_KM of the user.
+ * options: { period: 'MORNING' | 'EVENING' | 'BOTH', radiusKm, limit }
+ * @returns {Array} [{ busNumber, busName, period, distanceMeters, beyondRadiusMeters, nearestStop }]
+ */
+async function findNearestAlternativesDb(userLocation, options = {}) {
+  const period = options.period || 'BOTH';
+  const radiusMeters = (Number(options.radiusKm) || DEFAULT_RADIUS_KM) * 1000;
+  const limit = options.limit || NEAREST_ALTERNATIVES_LIMIT;
+  const maxMeters = NEAREST_ALTERNATIVES_MAX_KM * 1000;
+
+  // Same spatial-index narrowing as findNearbyBusesDb, over the wider search area
+  const candidates = routeCache.queryCandidates(userLocation, maxMeters);
+  const indexedIds = routeCache.indexedBusIds();
+  const where = indexedIds.length
+    ? { OR: [{ id: { in: [...candidates.keys()] } }, { id: { notIn: indexedIds } }] }
+    : undefined;
+  const buses = await prisma.bus.findMany({ where, include: { stops: true } });
+
+  const periods = period === 'BOTH' ? ['MORNING', 'EVENING'] : [period];
+  const alternatives = [];
+  for (const b of buses) {
+    let cachedRoutes = null;
+    try {
+      cachedRoutes = await routeCache.ensureRoutes(b);
+    } catch (e) {
+      logger.warn('Route cache lookup failed, using straight-line stops', { busId: b.id, error: e && e.message });
+    }
+    let best = null;
+    for (const p of periods) {
+      const stops = b.stops.filter(s => s.period === p).sort((x, y) => x.order - y.order);
+      if (!stops.length) continue;
+      let path = cachedRoutes && cachedRoutes[p === 'MORNING' ? 'morningRoute' : 'eveningRoute'];
+      if (!path || path.length === 0) path = stops.map(s => ({ lat: s.lat, lng: s.lng }));
+      const { minDist } = getMinDistanceToPath(userLocation, path);
+      if (!Number.isFinite(minDist) || minDist > maxMeters) continue;
+      if (!best || minDist < best.distanceMeters) {
+        best = { period: p, distanceMeters: Math.round(minDist), nearestStop: nearestStopTo(userLocation, stops) };
+      }
+    }
+    if (!best) continue;
+    alternatives.push({
+      busNumber: b.number,
+      busName: b.name,
+      period: best.period,
+      distanceMeters: best.distanceMeters,
+      beyondRadiusMeters: Math.max(0, Math.round(best.distanceMeters - radiusMeters)),
+      nearestStop: best.nearestStop && { ...best.nearestStop, distanceMeters: Math.round(best.nearestStop.distanceMeters) }
+    });
+  }
+  alternatives.sort((x, y) => x.distanceMeters - y.distanceMeters);
+  return alternatives.slice(0, limit);
+}
+
+/**
+ * Admin explain mode for /api/check-availability: how every bus and period compares with
+ * the user location, using the same paths as findNearbyBusesDb but without the spatial-index
+ * narrowing (`indexCandidate` tells whether the search would have looked at the bus at all).
+ * options: { period: 'MORNING' | 'EVENING' | 'BOTH', radiusKm }
+ * @returns {Array} [{ busNumber, busName, indexCandidate, morning, evening }] where a period is
+ *   null without stops, else { checked, pathSource: 'cached' | 'fallback' | 'single-stop',
+ *   routingProvider, pathPoints, pointDistanceMeters, pointIndex, segmentDistanceMeters,
+ *   segmentIndex, closestPoint, withinRadius, nearestStop }
+ */
+async function explainAvailabilityDb(userLocation, options = {}) {
+  const period = options.period || 'BOTH';
+  const radiusMeters = (Number(options.radiusKm) || DEFAULT_RADIUS_KM) * 1000;
+  const candidates = routeCache.queryCandidates(userLocation, radiusMeters);
+  const indexedIds = new Set(routeCache.indexedBusIds());
+  const buses = await prisma.bus.findMany({ include: { stops: true }, orderBy: { number: 'asc' } });
+  const round = (d) => (Number.isFinite(d) ? Math.round(d) : null);
+
+  const report = [];
+  for (const b of buses) {
+    let cachedRoutes = null;
+    let cacheError = null;
+    try {
+      cachedRoutes = await routeCache.ensureRoutes(b);
+    } catch (e) {
+      cacheError = e && e.message;
+    }
+    const entry = {
+      busNumber: b.number,
+      busName: b.name,
+      indexCandidate: candidates.has(b.id) || !indexedIds.has(b.id),
+      cacheError,
+      morning: null,
+      evening: null
+    };
+    for (const [key, p] of [['morning', 'MORNING'], ['evening', 'EVENING']]) {
+      const stops = b.stops.filter(s => s.period === p).sort((x, y) => x.order - y.order);
+      if (!stops.length) continue;
+      // Same path choice as checkRouteStops in findNearbyBusesDb
+      const cachedPath = cachedRoutes && cachedRoutes[`${key}Route`];
+      let pathSource = 'cached';
+      let path = cachedPath;
+      if (stops.length === 1) {
+        pathSource = 'single-stop';
+        path = [{ lat: stops[0].lat, lng: stops[0].lng }];
+      } else if (!path || path.length === 0) {
+        pathSource = 'fallback';
+        path = stops.map(s => ({ lat: s.lat, lng: s.lng }));
+      }
+      const point = getMinDistanceAlongPath(userLocation, path);
+      const segment = getMinDistanceToPath(userLocation, path);
+      const nearestStop = nearestStopTo(userLocation, stops);
+      entry[key] = {
+        checked: period === 'BOTH' || period === p,
+        pathSource,
+        routingProvider: pathSource === 'cached' ? (cachedRoutes.providers && cachedRoutes.providers[p]) || null : null,
+        pathPoints: path.length,
+        pointDistanceMeters: round(point.minDist),
+        pointIndex: point.minIndex,
+        segmentDistanceMeters: round(segment.minDist),
+        segmentIndex: segment.segmentIndex,
+        closestPoint: segment.closestPoint,
+        withinRadius: segment.minDist <= radiusMeters,
+        nearestStop: nearestStop && { ...nearestStop, distanceMeters: Math.round(nearestStop.distanceMeters) }
+      };
+    }
+    report.push(entry);
+  }
+  return report;
+}
+
 // Simple admin auth (env-based)
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
@@ -1231,20 +1415,30 @@ app.post('/api/admin/logout', (req, res) => {
   res.json({ success: true });
 });
 
+// Admin token from the Authorization header or the admin_token cookie, or null
+function adminTokenFrom(req) {
+  const auth = req.headers.authorization || '';
+  if (auth && auth.startsWith('Bearer ')) return auth.slice(7);
+  if (req.headers.cookie) {
+    const m = req.headers.cookie.match(/(?:^|;\s*)admin_token=([^;]+)/);
+    if (m) return decodeURIComponent(m[1]);
+  }
+  return null;
+}
+
+// Verified admin token payload; throws when the token is invalid or not an admin's
+function verifyAdminToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET);
+  if (payload.role !== 'admin' && payload.role !== 'superadmin') throw new Error('Not admin');
+  return payload;
+}
+
 // Example protected route (for future admin dashboard APIs)
 function requireAdmin(req, res, next) {
   try {
-    const auth = req.headers.authorization || '';
-    let token = null;
-    if (auth && auth.startsWith('Bearer ')) token = auth.slice(7);
-    else if (req.headers.cookie) {
-      const m = req.headers.cookie.match(/(?:^|;\s*)admin_token=([^;]+)/);
-      if (m) token = decodeURIComponent(m[1]);
-    }
+    const token = adminTokenFrom(req);
     if (!token) return res.status(401).json({ success: false, message: 'Missing token' });
-    const payload = jwt.verify(token, JWT_SECRET);
-    if (payload.role !== 'admin' && payload.role !== 'superadmin') throw new Error('Not admin');
-    req.admin = payload;
+    req.admin = verifyAdminToken(token);
     next();
   } catch (e) {
     return res.status(401).json({ success: false, message: 'Invalid token' });
@@ -1279,6 +1473,9 @@ app.post('/api/admin/signup-request', async (req, res) => {
     const hashed = bcrypt.hashSync(password, 10);
     pending.push({ name, email, password: hashed, createdAt: new Date().toISOString() });
     writePendingAdmins(pending);
+    if (MAIN_ADMIN_EMAIL) {
+      await notificationOutbox.notify({ contact: MAIN_ADMIN_EMAIL, template: 'admin-signup-pending', data: { name, email } });
+    }
     res.json({ success: true, message: 'Signup request submitted. Await approval by main admin.' });
   } catch (e) {
     console.error('Signup request failed:', e);
@@ -1314,18 +1511,23 @@ app.post('/api/admin/requests/:email/approve', requireAdmin, requireCsrf, async
   }
   pending.splice(idx, 1);
   writePendingAdmins(pending);
+  await notificationOutbox.notify({ contact: reqObj.email, template: 'admin-approved', data: { name: reqObj.name, email: reqObj.email } });
   res.json({ success: true });
 });
 
 // Reject pending admin (superadmin)
-app.post('/api/admin/requests/:email/reject', requireAdmin, requireCsrf, (req, res) => {
+app.post('/api/admin/requests/:email/reject', requireAdmin, requireCsrf, async (req, res) => {
   if (req.admin.role !== 'superadmin') {
     return res.status(403).json({ success: false, message: 'Only superadmin may reject' });
   }
   const email = decodeURIComponent(req.params.email);
   let pending = readPendingAdmins();
+  const rejected = pending.find(p => p.email.toLowerCase() === email.toLowerCase());
   const next = pending.filter(p => p.email.toLowerCase() !== email.toLowerCase());
   writePendingAdmins(next);
+  if (rejected) {
+    await notificationOutbox.notify({ contact: rejected.email, template: 'admin-rejected', data: { name: rejected.name, email: rejected.email } });
+  }
   res.json({ success: true });
 });
 
@@ -1347,23 +1549,27 @@ app.get('/api/admin/logs', requireAdmin, async (req, res) => {
       emailSelect = 'email AS email';
     }
 
-    const selectQuery = `SELECT id, ${emailSelect}, location, lat, lng, status, "createdAt" FROM "AvailabilityLog" ORDER BY "createdAt" DESC LIMIT 100`;
+    const requestedSelect = colNames.includes('requested') ? 'requested' : 'false AS requested';
+    const verifiedSelect = colNames.includes('contactverified') ? '"contactVerified"' : 'false AS "contactVerified"';
+    const selectQuery = `SELECT id, ${emailSelect}, location, lat, lng, ${requestedSelect}, ${verifiedSelect}, status, "createdAt" FROM "AvailabilityLog" ORDER BY "createdAt" DESC LIMIT 100`;
     // SECURITY NOTE: This query is safe - no user input, constructed from validated column names
     const logs = await prisma.$queryRawUnsafe(selectQuery);
 
     // Return logs using the stored unified `location` value so admin always sees
     // the exact formatted label saved at submission time.
-    // Parse 'requested' flag but skip server-side enrichment to improve performance.
+    // Requested checks carry their bus request's id and status (busRequest: { id, status }).
     // Client-side enrichment was removed earlier; coordinate-only entries display as-is.
-    const enriched = logs.map((log) => {
-      let requested = false;
-      let rawLocation = log.location;
-      if (typeof rawLocation === 'string' && rawLocation.startsWith('__REQ__YES__||')) {
-        requested = true;
-        rawLocation = rawLocation.replace('__REQ__YES__||', '');
+    let requestsByLog = new Map();
+    try {
+      const requestedIds = logs.filter(l => l.requested).map(l => l.id);
+      if (requestedIds.length) {
+        const rows = await prisma.busRequest.findMany({ where: { logId: { in: requestedIds } }, select: { id: true, logId: true, status: true } });
+        requestsByLog = new Map(rows.map(r => [r.logId, { id: r.id, status: r.status }]));
       }
-      return { ...log, requested, location: rawLocation };
-    });
+    } catch (e) {
+      logger.warn('Failed to load bus requests for logs', { error: e && e.message });
+    }
+    const enriched = logs.map((log) => ({ ...log, requested: Boolean(log.requested), busRequest: requestsByLog.get(log.id) || null }));
 
     res.json({ success: true, logs: enriched });
   } catch (e) {
@@ -1372,6 +1578,133 @@ app.get('/api/admin/logs', requireAdmin, async (req, res) => {
   }
 });
 
+// ---- Bus requests ("request a bus" submissions, see busRequests.js) ----
+
+// Validate a status/comment change body -> { change } or { error }
+function parseBusRequestChange(body) {
+  const { status, comment } = body || {};
+  const change = {};
+  if (status !== undefined && status !== null && status !== '') {
+    change.status = busRequests.parseStatus(status);
+    if (!change.status) return { error: `status must be one of ${busRequests.STATUSES.join(', ')}` };
+  }
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== 'string') return { error: 'comment must be a string' };
+    if (comment.length > busRequests.MAX_COMMENT_LENGTH) return { error: `comment must be at most ${busRequests.MAX_COMMENT_LENGTH} characters` };
+    if (comment.trim()) change.comment = comment.trim();
+  }
+  if (!change.status && !change.comment) return { error: 'status or comment required' };
+  return { change };
+}
+
+// Admin: list bus requests (?status=&q=&limit=&offset=), with counts per status
+app.get('/api/admin/bus-requests', requireAdmin, async (req, res) => {
+  try {
+    let status;
+    if (req.query.status) {
+      status = busRequests.parseStatus(String(req.query.status));
+      if (!status) return res.status(400).json({ success: false, message: `status must be one of ${busRequests.STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await busRequests.list({ status, q: req.query.q ? String(req.query.q) : undefined, limit, offset });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    logger.error('Failed to list bus requests', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to list bus requests' });
+  }
+});
+
+// Admin: one bus request with its comment / status history
+app.get('/api/admin/bus-requests/:id', requireAdmin, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    const request = await busRequests.get(id);
+    if (!request) return res.status(404).json({ success: false, message: 'Bus request not found' });
+    return res.json({ success: true, request });
+  } catch (e) {
+    logger.error('Failed to load bus request', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to load bus request' });
+  }
+});
+
+// Admin: triage one request. Body: { status?, comment? }
+app.put('/api/admin/bus-requests/:id', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    const { change, error } = parseBusRequestChange(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const updated = await busRequests.update([id], { ...change, author: req.admin.email });
+    if (!updated) return res.status(404).json({ success: false, message: 'Bus request not found' });
+    const request = await busRequests.get(id);
+    return res.json({ success: true, message: 'Bus request updated', request });
+  } catch (e) {
+    logger.error('Failed to update bus request', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to update bus request' });
+  }
+});
+
+// Admin: comment on a request without changing its status. Body: { comment }
+app.post('/api/admin/bus-requests/:id/comments', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    const comment = req.body && req.body.comment;
+    if (typeof comment !== 'string' || !comment.trim()) return res.status(400).json({ success: false, message: 'comment is required' });
+    const { change, error } = parseBusRequestChange({ comment });
+    if (error) return res.status(400).json({ success: false, message: error });
+    const updated = await busRequests.update([id], { ...change, author: req.admin.email });
+    if (!updated) return res.status(404).json({ success: false, message: 'Bus request not found' });
+    const request = await busRequests.get(id);
+    return res.json({ success: true, message: 'Comment added', request });
+  } catch (e) {
+    logger.error('Failed to comment on bus request', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to add comment' });
+  }
+});
+
+// Admin: bulk triage. Body: { ids: [..], status?, comment? } - the comment is added to each request
+app.post('/api/admin/bus-requests/bulk', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body && req.body.ids) ? [...new Set(req.body.ids.map(Number))] : [];
+    if (!ids.length || ids.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ success: false, message: 'ids must be a non-empty array of request ids' });
+    }
+    if (ids.length > busRequests.MAX_BULK) {
+      return res.status(400).json({ success: false, message: `At most ${busRequests.MAX_BULK} requests can be updated at once` });
+    }
+    const { change, error } = parseBusRequestChange(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const updated = await busRequests.update(ids, { ...change, author: req.admin.email });
+    logger.info('Bus requests bulk-updated', { admin: req.admin.email, requested: ids.length, updated, status: change.status });
+    return res.json({ success: true, message: `Updated ${updated} bus request(s)`, updated, notFound: ids.length - updated });
+  } catch (e) {
+    logger.error('Failed to bulk-update bus requests', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to update bus requests' });
+  }
+});
+
+// Optional per-stop scheduled time, normalized to "HH:MM" (null when not given)
+function stopScheduledTime(stop) {
+  const minutes = parseTimeToMinutes(stop && stop.scheduledTime);
+  return minutes === null ? null : formatMinutes(minutes);
+}
+
+// Validation message for the first unparseable stop time, or null when all are valid
+function invalidStopTime(...stopLists) {
+  for (const stops of stopLists) {
+    for (const stop of stops || []) {
+      const t = stop && stop.scheduledTime;
+      if (t !== undefined && t !== null && t !== '' && parseTimeToMinutes(String(t)) === null) {
+        return `Invalid scheduled time "${t}" for stop "${stop.name}". Use HH:MM or H:MM AM/PM.`;
+      }
+    }
+  }
+  return null;
+}
+
 // Add new bus (admin only)
 app.post('/api/admin/buses', requireAdmin, requireCsrf, async (req, res) => {
   try {
@@ -1380,6 +1713,8 @@ app.post('/api/admin/buses', requireAdmin, requireCsrf, async (req, res) => {
     if (!number || !name) {
       return res.status(400).json({ success: false, message: 'Bus number and name are required' });
     }
+    const stopTimeError = invalidStopTime(morningStops, eveningStops);
+    if (stopTimeError) return res.status(400).json({ success: false, message: stopTimeError });
 
     const bus = await prisma.bus.create({
       data: { number, name, location: location ?? '', routeName: routeName ?? null, imageUrl: null, capacity: capacity ?? 60, currentOccupancy: currentOccupancy ?? 0, driverName: driverName ?? "", driverPhone: driverPhone ?? "", liveLocationUrl: liveLocationUrl ?? "", morningStartTime: morningStartTime ?? null, morningEndTime: morningEndTime ?? null, eveningStartTime: eveningStartTime ?? null, eveningEndTime: eveningEndTime ?? null }
@@ -1394,6 +1729,7 @@ app.post('/api/admin/buses', requireAdmin, requireCsrf, async (req, res) => {
             name: stop.name,
             lat: stop.lat,
             lng: stop.lng,
+            scheduledTime: stopScheduledTime(stop),
             period: 'MORNING',
             order: i + 1,
             busId: bus.id
@@ -1411,6 +1747,7 @@ app.post('/api/admin/buses', requireAdmin, requireCsrf, async (req, res) => {
             name: stop.name,
             lat: stop.lat,
             lng: stop.lng,
+            scheduledTime: stopScheduledTime(stop),
             period: 'EVENING',
             order: i + 1,
             busId: bus.id
@@ -1419,6 +1756,10 @@ app.post('/api/admin/buses', requireAdmin, requireCsrf, async (req, res) => {
       }
     }
 
+    // Build the new bus's polylines in the background; its stop names join the gazetteer
+    refreshBusRoutes(bus.id);
+    geocoders.invalidateGazetteer();
+
     res.json({ success: true, message: 'Bus added successfully', bus });
   } catch (e) {
     logger.error('Failed to add bus', { error: e.message, stack: e.stack });
@@ -1426,8 +1767,6 @@ app.post('/api/admin/buses', requireAdmin, requireCsrf, async (req, res) => {
   }
 });
 
-// After adding a bus, schedule a route cache rebuild (debounced)
-try { scheduleRouteCacheRebuild(false); } catch (e) { /* ignore */ }
 
 // Get all buses (admin only)
 app.get('/api/admin/buses', requireAdmin, async (req, res) => {
@@ -1472,6 +1811,8 @@ app.put('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req, re
     if (!bus) {
       return res.status(404).json({ success: false, message: 'Bus not found' });
     }
+    const stopTimeError = invalidStopTime(morningStops, eveningStops);
+    if (stopTimeError) return res.status(400).json({ success: false, message: stopTimeError });
 
     // Update bus basic info
     const updatedBus = await prisma.bus.update({
@@ -1505,6 +1846,7 @@ app.put('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req, re
             name: stop.name,
             lat: stop.lat,
             lng: stop.lng,
+            scheduledTime: stopScheduledTime(stop),
             period: 'MORNING',
             order: i + 1,
             busId: bus.id
@@ -1522,6 +1864,7 @@ app.put('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req, re
             name: stop.name,
             lat: stop.lat,
             lng: stop.lng,
+            scheduledTime: stopScheduledTime(stop),
             period: 'EVENING',
             order: i + 1,
             busId: bus.id
@@ -1530,6 +1873,10 @@ app.put('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req, re
       }
     }
 
+    // Stops changed: rebuild only this bus's polylines in the background
+    refreshBusRoutes(bus.id);
+    geocoders.invalidateGazetteer();
+
     res.json({ success: true, message: 'Bus updated successfully', bus: updatedBus });
   } catch (e) {
     console.error('Failed to update bus:', e);
@@ -1537,8 +1884,6 @@ app.put('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req, re
   }
 });
 
-// After updating a bus, schedule a route cache rebuild (debounced)
-try { scheduleRouteCacheRebuild(false); } catch (e) { /* ignore */ }
 
 // Delete bus (admin only)
 app.delete('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req, res) => {
@@ -1555,6 +1900,9 @@ app.delete('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req,
     
     // Delete the bus
     await prisma.bus.delete({ where: { number: busNumber } });
+    await routeCache.invalidateBus(bus.id);
+    io.emit('routeRemoved', { busId: bus.id, busNumber: String(bus.number) });
+    geocoders.invalidateGazetteer();
 
     res.json({ success: true, message: 'Bus deleted successfully' });
   } catch (e) {
@@ -1563,8 +1911,6 @@ app.delete('/api/admin/buses/:busNumber', requireAdmin, requireCsrf, async (req,
   }
 });
 
-// After deleting a bus, schedule a route cache rebuild (debounced)
-try { scheduleRouteCacheRebuild(false); } catch (e) { /* ignore */ }
 
 // Upload or replace bus image (admin only)
 app.post('/api/admin/buses/:busNumber/photo', requireAdmin, requireCsrf, upload.single('photo'), async (req, res) => {
@@ -1677,38 +2023,163 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Loose email / phone validation for user-supplied contacts
+const CONTACT_EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CONTACT_PHONE_RE = /^[0-9\+\-\s]{7,20}$/;
+function isValidContact(contact) {
+  return CONTACT_EMAIL_RE.test(String(contact)) || CONTACT_PHONE_RE.test(String(contact));
+}
+
+// Code requests cost an email or SMS each, so they get a tighter per-IP limit
+const verificationCodeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.CONTACT_CODES_PER_IP_PER_HOUR || '10', 10),
+  message: { success: false, message: 'Too many verification codes requested. Try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Guessing codes is capped per code (CONTACT_CODE_MAX_ATTEMPTS) and per IP here
+const verificationConfirmLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.CONTACT_CONFIRMS_PER_IP || '20', 10),
+  message: { success: false, message: 'Too many verification attempts. Try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Contact verification step 1: send a one-time code. Body: { contact }
+app.post('/api/contact-verification', verificationCodeLimiter, async (req, res) => {
+  try {
+    const contact = req.body && (req.body.contact || req.body.email || req.body.phone);
+    if (!contact || !isValidContact(contact)) {
+      return res.status(400).json({ success: false, message: 'Please provide a valid email address or phone number' });
+    }
+    const sent = await contactVerification.requestCode(contact);
+    return res.json({
+      success: true,
+      message: `A verification code was sent by ${sent.channel === 'EMAIL' ? 'email' : 'SMS'}. It expires in ${contactVerification.CODE_TTL_MINUTES} minutes.`,
+      ...sent
+    });
+  } catch (e) {
+    if (e && e.code === 'CONTACT_VERIFICATION') {
+      if (e.retryAfterSeconds) res.set('Retry-After', String(e.retryAfterSeconds));
+      return res.status(429).json({ success: false, message: e.message, retryAfterSeconds: e.retryAfterSeconds });
+    }
+    logger.error('Failed to send verification code', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to send verification code' });
+  }
+});
+
+// Contact verification step 2: exchange the code for a token. Body: { verificationId, code }
+app.post('/api/contact-verification/confirm', verificationConfirmLimiter, async (req, res) => {
+  try {
+    const verificationId = parseInt(req.body && req.body.verificationId, 10);
+    const code = req.body && req.body.code;
+    if (!Number.isInteger(verificationId) || !code) {
+      return res.status(400).json({ success: false, message: 'verificationId and code are required' });
+    }
+    const { token, expiresAt } = await contactVerification.confirmCode(verificationId, code);
+    return res.json({ success: true, message: 'Contact verified', verificationToken: token, expiresAt });
+  } catch (e) {
+    if (e && e.code === 'CONTACT_VERIFICATION') return res.status(400).json({ success: false, message: e.message });
+    logger.error('Failed to confirm verification code', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to verify code' });
+  }
+});
+
 // Bus availability checker endpoint
 app.post('/api/check-availability', async (req, res) => {
   try {
     const contact = req.body && (req.body.email || req.body.contact || req.body.phone);
     const location = req.body && req.body.location;
+    // Optional pick from /api/geocode candidates; `location` then only labels the search
+    const candidateId = req.body && req.body.candidateId;
+    // Admin explain mode (support staff): adds a per-bus distance breakdown, does not need a
+    // contact and is neither rate-limited nor logged as demand
+    const explain = Boolean(req.body) && (req.body.explain === true || String(req.body.explain).toLowerCase() === 'true');
+    if (explain) {
+      try {
+        const token = adminTokenFrom(req);
+        if (!token) throw new Error('Missing token');
+        req.admin = verifyAdminToken(token);
+      } catch (e) {
+        return res.status(401).json({ success: false, message: 'Explain mode requires an admin login' });
+      }
+    }
 
     // Rate-limit availability checks per-IP and per-contact to avoid abuse and to stay within Maps API limits
     const ip = req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
     // Normalize contact string for counters
     const contactKey = contact ? String(contact).toLowerCase() : null;
     // Check counters before proceeding
-    if (!isAvailabilityAllowed(ip, contactKey)) {
+    if (!explain && !isAvailabilityAllowed(ip, contactKey)) {
       return res.status(429).json({ success: false, message: 'Rate limit exceeded for availability checks. Try again later.' });
     }
     // We increment counters after basic validation so bots can't cheaply increment without valid payloads
 
-    // Validate input (contact required)
-    if (!contact || !location) {
+    // Validate input (contact required outside explain mode)
+    if ((!contact && !explain) || !location) {
       return res.status(400).json({ success: false, message: 'Contact (email or phone) and location are required' });
     }
 
     // Validate contact: allow either email or phone number
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    const phoneRegex = /^[0-9\+\-\s]{7,20}$/; // loose phone validation
-    const isEmail = emailRegex.test(String(contact));
-    const isPhone = phoneRegex.test(String(contact));
-    if (!isEmail && !isPhone) {
+    if (contact && !isValidContact(contact)) {
       return res.status(400).json({ success: false, message: 'Please provide a valid email address or phone number' });
     }
 
+    // Optional token from /api/contact-verification/confirm; required to request a bus
+    const requestBusFlag = Boolean(req.body) && (req.body.requestBus === true || String(req.body.requestBus).toLowerCase() === 'yes');
+    let contactVerified = false;
+    if (contact && req.body.verificationToken) {
+      try {
+        contactVerified = await contactVerification.isVerified(contact, req.body.verificationToken);
+      } catch (e) {
+        logger.warn('Contact verification lookup failed', { error: e && e.message });
+      }
+    }
+    if (!explain && requestBusFlag && REQUIRE_VERIFIED_BUS_REQUESTS && !contactVerified) {
+      return res.status(403).json({
+        success: false,
+        verificationRequired: true,
+        message: 'Please verify your email or phone number with a one-time code before requesting a bus'
+      });
+    }
+
+    // Optional search radius (bounded by the admin-configured maximum) and period filter
+    const maxRadiusKm = Number(siteSettings && siteSettings.maxSearchRadiusKm) || DEFAULT_SETTINGS.maxSearchRadiusKm;
+    let radiusKm = Math.min(DEFAULT_RADIUS_KM, maxRadiusKm);
+    const rawRadius = req.body.radiusKm;
+    if (rawRadius !== undefined && rawRadius !== null && rawRadius !== '') {
+      const parsedRadius = Number(rawRadius);
+      if (!Number.isFinite(parsedRadius) || parsedRadius <= 0) {
+        return res.status(400).json({ success: false, message: 'radiusKm must be a positive number' });
+      }
+      radiusKm = Math.min(parsedRadius, maxRadiusKm);
+    }
+    radiusKm = Math.round(radiusKm * 100) / 100;
+    const period = req.body.period ? String(req.body.period).toUpperCase() : 'BOTH';
+    if (!SEARCH_PERIODS.includes(period)) {
+      return res.status(400).json({ success: false, message: 'period must be MORNING, EVENING or BOTH' });
+    }
+    // Optional time preferences: campus arrival for the morning route, campus departure for the evening one
+    const timePrefs = {};
+    for (const key of ['arriveBy', 'departAfter']) {
+      const raw = req.body[key];
+      if (raw === undefined || raw === null || raw === '') continue;
+      timePrefs[key] = parseTimeToMinutes(String(raw));
+      if (timePrefs[key] === null) {
+        return res.status(400).json({ success: false, message: `${key} must be a time like 08:45 or 8:45 AM` });
+      }
+    }
+
     // Passed validation — increment counters
-    try { incrementAvailability(ip, contactKey); } catch (e) {}
+    if (!explain) {
+      try { incrementAvailability(ip, contactKey); } catch (e) {}
+    }
+
+    // Locations outside the admin-defined service area are not searched (see serviceArea.js)
+    const inServiceArea = (point) => serviceArea.containsPoint(siteSettings && siteSettings.serviceArea, point);
 
     // STEP 1: Parse location (coordinates or location name)
     console.log('\n🚀 NEW BUS AVAILABILITY CHECK');
@@ -1718,6 +2189,12 @@ app.post('/api/check-availability', async (req, res) => {
     let userLocation;
     // We'll also derive a human-friendly formattedName like: "Place Name (lat, lng)"
     let formattedName = null;
+    // Geocoder tier that resolved a place-name query (gazetteer / google / nominatim)
+    let geocodeProvider = null;
+    // How the location was resolved (explain mode, AvailabilityLog.locationSource): 'coordinates' | 'candidate' | 'geocoder',
+    // plus the geocoder candidate that produced userLocation (reverse lookup for coordinates)
+    let geocodeSource = 'coordinates';
+    let geocodeCandidate = null;
     if (typeof location === 'string') {
       // Check if it's coordinates (lat,lng format) - handle with or without spaces
       const coordMatch = location.match(/^\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*$/);
@@ -1737,64 +2214,68 @@ app.post('/api/check-availability', async (req, res) => {
         // looks like it was obtained from the current location (user expectation).
         // Use geocodeLatLng which returns a stable `{ formatted_address, lat, lng }`
         // and falls back to Nominatim when Google isn't available.
-        try {
-          const geo = await geocodeLatLng(lat, lng);
-          if (geo && geo.formatted_address) {
-            formattedName = `${geo.formatted_address} (${Number(geo.lat).toFixed(6)}, ${Number(geo.lng).toFixed(6)})`;
-            // also update userLocation to any adjusted coords returned by the geocoder
-            userLocation = { lat: Number(geo.lat), lng: Number(geo.lng) };
+        // Skipped outside the service area: the check is rejected anyway.
+        if (inServiceArea(userLocation)) {
+          try {
+            const geo = await geocodeLatLng(lat, lng);
+            if (geo && geo.formatted_address) {
+              formattedName = `${geo.formatted_address} (${Number(geo.lat).toFixed(6)}, ${Number(geo.lng).toFixed(6)})`;
+              // also update userLocation to any adjusted coords returned by the geocoder
+              userLocation = { lat: Number(geo.lat), lng: Number(geo.lng) };
+              geocodeCandidate = geo;
+            }
+          } catch (e) {
+            // ignore, we'll fall back to raw coords below
           }
-        } catch (e) {
-          // ignore, we'll fall back to raw coords below
         }
 
+      } else if (candidateId) {
+        // STEP 2: The user already picked one of the /api/geocode candidates
+        const candidate = verifyGeocodeCandidate(candidateId);
+        if (!candidate) {
+          return res.status(400).json({
+            success: false,
+            message: 'The selected location has expired. Please search for the location again.'
+          });
+        }
+        userLocation = { lat: candidate.lat, lng: candidate.lng };
+        geocodeProvider = candidate.provider;
+        geocodeSource = 'candidate';
+        geocodeCandidate = candidate;
+        formattedName = `${candidate.formatted_address || location} (${candidate.lat.toFixed(6)}, ${candidate.lng.toFixed(6)})`;
+        console.log(`✅ Using chosen candidate (${geocodeProvider}): ${formattedName}`);
       } else {
-        // STEP 2: It's a location name — prefer a regional geocode first (uses GEOCODE_COUNTRY/GEOCODE_REGION),
-        // then fall back to Places API, then global geocoding/Nominatim.
-        console.log(`🔍 Resolving place name: "${location}" using regional-first strategy...`);
-
-        // 1) Try geocodeLocation (this function already considers GEOCODE_COUNTRY/GEOCODE_REGION)
+        // STEP 2: It's a location name — resolve it through the geocoder chain
+        // (local gazetteer, then Google with GEOCODE_* preferences, then Nominatim)
+        console.log(`🔍 Resolving place name: "${location}" via geocoder chain...`);
         try {
-          const regionalGeo = await geocodeLocation(location);
-          if (regionalGeo && typeof regionalGeo.lat === 'number' && typeof regionalGeo.lng === 'number') {
-            userLocation = { lat: regionalGeo.lat, lng: regionalGeo.lng };
-            formattedName = `${regionalGeo.formatted_address || location} (${Number(regionalGeo.lat).toFixed(6)}, ${Number(regionalGeo.lng).toFixed(6)})`;
-            console.log(`✅ Regional geocode succeeded: ${formattedName}`);
-          }
-        } catch (e) {
-          // ignore - we'll try other methods
-        }
-
-        // 2) If regional geocode didn't return a usable result, fallback to non-regional geocode/Nominatim
-        // (Previously we used Google Places here; removed to simplify geocoding flow.)
-        // No-op: will try final fallback below using geocodeLocation()
-
-        // 3) Final fallback: if still not found, try a non-regional geocode or Nominatim via geocodeLocation
-        if (!userLocation) {
-          try {
-            const geocodedLocation = await geocodeLocation(location);
-            userLocation = { lat: geocodedLocation.lat, lng: geocodedLocation.lng };
-            formattedName = `${geocodedLocation.formatted_address} (${Number(geocodedLocation.lat).toFixed(6)}, ${Number(geocodedLocation.lng).toFixed(6)})`;
-            console.log(`✅ Fallback geocoded to: ${userLocation.lat},${userLocation.lng}`);
-            console.log(`   Address: ${geocodedLocation.formatted_address}`);
-          } catch (error) {
-            return res.status(400).json({
-              success: false,
-              message: `Could not find location "${location}". Please provide coordinates as "lat,lng" or a valid location name.`
-            });
-          }
+          const geocodedLocation = await geocodeLocation(location);
+          userLocation = { lat: geocodedLocation.lat, lng: geocodedLocation.lng };
+          geocodeProvider = geocodedLocation.provider || null;
+          geocodeSource = 'geocoder';
+          geocodeCandidate = geocodedLocation;
+          formattedName = `${geocodedLocation.formatted_address || location} (${Number(geocodedLocation.lat).toFixed(6)}, ${Number(geocodedLocation.lng).toFixed(6)})`;
+          console.log(`✅ Geocoded by ${geocodeProvider}: ${formattedName}`);
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: `Could not find location "${location}". Please provide coordinates as "lat,lng" or a valid location name.`
+          });
         }
       }
     } else if (typeof location === 'object' && location.lat && location.lng) {
       userLocation = { lat: Number(location.lat), lng: Number(location.lng) };
-      // derive a friendly name from coordinates when possible
-      try {
-        const geo = await geocodeLatLng(userLocation.lat, userLocation.lng);
-        if (geo && geo.formatted_address) {
-          formattedName = `${geo.formatted_address} (${Number(geo.lat).toFixed(6)}, ${Number(geo.lng).toFixed(6)})`;
-          userLocation = { lat: Number(geo.lat), lng: Number(geo.lng) };
-        }
-      } catch (e) { /* ignore */ }
+      // derive a friendly name from coordinates when possible (not worth a lookup outside the service area)
+      if (inServiceArea(userLocation)) {
+        try {
+          const geo = await geocodeLatLng(userLocation.lat, userLocation.lng);
+          if (geo && geo.formatted_address) {
+            formattedName = `${geo.formatted_address} (${Number(geo.lat).toFixed(6)}, ${Number(geo.lng).toFixed(6)})`;
+            userLocation = { lat: Number(geo.lat), lng: Number(geo.lng) };
+            geocodeCandidate = geo;
+          }
+        } catch (e) { /* ignore */ }
+      }
     } else {
       return res.status(400).json({
         success: false,
@@ -1811,30 +2292,85 @@ app.post('/api/check-availability', async (req, res) => {
       }
     }
 
-              // STEP 3: Find nearby buses (checks if routes intersect 1.5km circle)
-              const nearbyBuses = await findNearbyBusesDb(userLocation, 1.5);
+    // STEP 3: Find nearby buses (checks if routes intersect the radiusKm circle).
+    // Short-circuited outside the service area; logged as OUT_OF_AREA so it does not
+    // count as unmet demand.
+    const outOfArea = !inServiceArea(userLocation);
+    const routeMatches = outOfArea ? [] : await findNearbyBusesDb(userLocation, radiusKm, { period });
+    // STEP 3b: Keep only buses whose schedule fits the requested arrival / departure time
+    const { buses: nearbyBuses, dropped: droppedBySchedule } = applyTimePreferences(routeMatches, timePrefs);
+    // A place a route serves, only at other times, is SCHEDULE_MISMATCH: not unmet demand for
+    // a route, so it stays out of bus requests, route coverage and the demand map
+    const availabilityStatus = outOfArea ? 'OUT_OF_AREA'
+      : nearbyBuses.length > 0 ? 'AVAILABLE'
+        : droppedBySchedule > 0 ? 'SCHEDULE_MISMATCH' : 'UNAVAILABLE';
+
+    if (explain) {
+      // Every bus, not just the matches; `outcome` says where each one fell out of the search
+      const routeMatched = new Set(routeMatches.map(b => b.busNumber));
+      const kept = new Set(nearbyBuses.map(b => b.busNumber));
+      const report = await explainAvailabilityDb(userLocation, { period, radiusKm });
+      for (const entry of report) {
+        if (outOfArea) entry.outcome = 'out-of-area';
+        else if (kept.has(entry.busNumber)) entry.outcome = 'matched';
+        else if (routeMatched.has(entry.busNumber)) entry.outcome = 'dropped-by-schedule';
+        else if (!entry.indexCandidate) entry.outcome = 'not-indexed-nearby';
+        else entry.outcome = 'outside-radius';
+      }
+      logger.info('Availability explain run', { admin: req.admin && req.admin.email, location: formattedName, status: availabilityStatus });
+      return res.json({
+        success: true,
+        available: nearbyBuses.length > 0,
+        status: availabilityStatus,
+        radiusKm,
+        period,
+        geocodeProvider,
+        droppedBySchedule,
+        buses: nearbyBuses,
+        explain: {
+          userLocation,
+          geocoding: {
+            source: geocodeSource,
+            provider: geocodeProvider,
+            cached: Boolean(geocodeCandidate && geocodeCandidate.cached),
+            candidate: geocodeCandidate && {
+              lat: Number(geocodeCandidate.lat),
+              lng: Number(geocodeCandidate.lng),
+              formatted_address: geocodeCandidate.formatted_address || null,
+              provider: geocodeCandidate.provider || null
+            }
+          },
+          buses: report
+        }
+      });
+    }
 
     // Log the availability check to database and include optional requester flag.
     // This is made resilient: if Prisma create fails due to schema mismatch,
     // we detect existing columns and fallback to a compatible INSERT so logs
     // are still recorded even before the DB migration is applied.
+    let logId = null;
     try {
-      const requestBusFlag = req.body && (req.body.requestBus === true || String(req.body.requestBus).toLowerCase() === 'yes');
       // Use the human-friendly formattedName derived earlier (e.g. "Place Name (lat, lng)")
-      const locationToSave = requestBusFlag ? `__REQ__YES__||${formattedName}` : formattedName;
+      const locationToSave = formattedName;
 
       // First try the Prisma create using the newer schema (contact + requested)
       try {
-        await prisma.availabilityLog.create({
+        const created = await prisma.availabilityLog.create({
           data: {
             contact: contact,
             location: locationToSave,
             lat: userLocation.lat,
             lng: userLocation.lng,
             requested: requestBusFlag === true,
-            status: nearbyBuses.length > 0 ? 'AVAILABLE' : 'UNAVAILABLE'
+            contactVerified,
+            locationSource: geocodeSource,
+            status: availabilityStatus,
+            radiusKm,
+            period
           }
         });
+        logId = created.id;
       } catch (createErr) {
         // If Prisma create fails (schema mismatch), attempt to detect available
         // columns and insert using raw SQL into whichever columns exist.
@@ -1849,7 +2385,7 @@ app.post('/api/check-availability', async (req, res) => {
           console.warn('Failed to inspect AvailabilityLog columns:', colErr && colErr.message ? colErr.message : colErr);
         }
 
-        const statusVal = nearbyBuses.length > 0 ? 'AVAILABLE' : 'UNAVAILABLE';
+        const statusVal = availabilityStatus;
 
         // Build fallback insert based on available columns
         try {
@@ -1874,19 +2410,65 @@ app.post('/api/check-availability', async (req, res) => {
       console.error('Failed to log availability check (outer):', logError && logError.message ? logError.message : logError);
     }
 
-    if (nearbyBuses.length === 0) {
+    // "Request a bus": tracked as a BusRequest for admin triage (see busRequests.js). Only
+    // for unserved places: out-of-area and already-served checks do not enter the queue
+    if (requestBusFlag && availabilityStatus === 'UNAVAILABLE') {
+      await busRequests.createFromCheck({ logId, contact, location: formattedName, lat: userLocation.lat, lng: userLocation.lng, period });
+    }
+
+    if (outOfArea) {
+      const org = siteSettings && siteSettings.organizationName;
       return res.json({
         success: true,
         available: false,
-        message: 'At your location, within 1.5km radius, the college bus is not available. Your search will be notified to admin.',
+        status: availabilityStatus,
+        message: `This location is outside the area served by ${org ? `${org} ` : 'our '}buses. Please check the place name, or search for the nearest town or landmark within the service area.`,
+        radiusKm,
+        period,
+        geocodeProvider,
         buses: []
       });
     }
 
+    const periodLabel = period === 'BOTH' ? '' : ` for the ${period.toLowerCase()} route`;
+    if (nearbyBuses.length === 0) {
+      // Still point the user at the closest routes just outside the radius (buses in the
+      // radius that were dropped by schedule are already counted in droppedBySchedule)
+      let alternatives = [];
+      try {
+        const inRadius = new Set(routeMatches.map(b => String(b.busNumber)));
+        alternatives = (await findNearestAlternativesDb(userLocation, { period, radiusKm, limit: NEAREST_ALTERNATIVES_LIMIT + inRadius.size }))
+          .filter(a => !inRadius.has(String(a.busNumber)))
+          .slice(0, NEAREST_ALTERNATIVES_LIMIT);
+      } catch (e) {
+        logger.warn('Nearest alternatives lookup failed', { error: e && e.message });
+      }
+      const scheduleNote = droppedBySchedule
+        ? ` ${droppedBySchedule} bus(es) pass nearby, but none run at your preferred time.`
+        : '';
+      return res.json({
+        success: true,
+        available: false,
+        status: availabilityStatus,
+        message: `At your location, within ${radiusKm}km radius, the college bus is not available${periodLabel}.${scheduleNote} Your search will be notified to admin.`,
+        radiusKm,
+        period,
+        geocodeProvider,
+        droppedBySchedule,
+        buses: [],
+        alternatives
+      });
+    }
+
     return res.json({
       success: true,
       available: true,
-      message: `Found ${nearbyBuses.length} bus(es) within 1.5km radius`,
+      status: availabilityStatus,
+      message: `Found ${nearbyBuses.length} bus(es) within ${radiusKm}km radius${periodLabel}`,
+      radiusKm,
+      period,
+      geocodeProvider,
+      droppedBySchedule,
       buses: nearbyBuses
     });
 
@@ -1907,17 +2489,10 @@ app.get('/api/debug/route-path/:busNumber', async (req, res) => {
     if (!busNumber) return res.status(400).json({ success: false, message: 'busNumber required' });
     const bus = await prisma.bus.findUnique({ where: { number: busNumber }, include: { stops: true } });
     if (!bus) return res.status(404).json({ success: false, message: 'Bus not found' });
-    const cached = routePolylinesCache.get(bus.id);
-    if (cached && ((cached.morningRoute && cached.morningRoute.length) || (cached.eveningRoute && cached.eveningRoute.length))) {
-      return res.json({ success: true, bus: { number: bus.number, id: bus.id }, cache: cached });
-    }
-
-    // Try to build on-demand (non-blocking) and return
+    // Served from the route cache; built on demand when missing or stale
     try {
-      const built = await buildRouteForBus(bus);
-      // Do not persist here to avoid triggering file-watcher loops; store in-memory
-      routePolylinesCache.set(bus.id, built);
-      return res.json({ success: true, bus: { number: bus.number, id: bus.id }, cache: built });
+      const cached = await routeCache.ensureRoutes(bus);
+      return res.json({ success: true, bus: { number: bus.number, id: bus.id }, cache: { morningRoute: cached.morningRoute, eveningRoute: cached.eveningRoute } });
     } catch (e) {
       return res.status(500).json({ success: false, message: 'Failed to build route', error: e && e.message });
     }
@@ -1926,16 +2501,406 @@ app.get('/api/debug/route-path/:busNumber', async (req, res) => {
   }
 });
 
-// Admin-only: trigger a debounced route cache rebuild immediately
+// Admin-only: trigger a debounced route cache rebuild immediately; route coverage
+// is re-checked for the rebuilt buses once it finishes
 app.post('/api/admin/rebuild-routes', requireAdmin, requireCsrf, async (req, res) => {
   try {
-    scheduleRouteCacheRebuild(true); // immediate (subject to scheduler guards)
+    routeCache.scheduleRebuild({ immediate: true, force: true }); // subject to scheduler guards
     return res.json({ success: true, message: 'Route rebuild scheduled' });
   } catch (e) {
     return res.status(500).json({ success: false, message: 'Failed to schedule rebuild', error: e && e.message });
   }
 });
 
+// ---- Notification outbox (admin) ----
+
+// Admin: list notifications (?status=PENDING|FAILED|SENT|DEAD&limit=&offset=), with counts per status
+app.get('/api/admin/notifications', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+    if (status && !notificationOutbox.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${notificationOutbox.STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await notificationOutbox.list({ status, limit, offset });
+    return res.json({ success: true, ...result, maxAttempts: notificationOutbox.MAX_ATTEMPTS });
+  } catch (e) {
+    logger.error('Failed to list notifications', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to list notifications' });
+  }
+});
+
+// Admin: retry one failed or dead notification now
+app.post('/api/admin/notifications/:id/retry', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    const count = await notificationOutbox.retry({ id });
+    if (!count) return res.status(404).json({ success: false, message: 'No failed or dead notification with this id' });
+    return res.json({ success: true, message: 'Notification queued for retry' });
+  } catch (e) {
+    logger.error('Failed to retry notification', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to retry notification' });
+  }
+});
+
+// Admin: retry every dead notification (e.g. after fixing the SMTP / SMS settings)
+app.post('/api/admin/notifications/retry-dead', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const count = await notificationOutbox.retry();
+    logger.info('Dead notifications requeued', { admin: req.admin.email, count });
+    return res.json({ success: true, message: `Queued ${count} notification(s) for retry`, count });
+  } catch (e) {
+    logger.error('Failed to retry dead notifications', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to retry notifications' });
+  }
+});
+
+const ANNOUNCEMENT_AUDIENCES = ['requesters', 'searchers'];
+
+// Admin: send an announcement through the outbox.
+// Body: { subject, message, audience, sinceDays?, idempotencyKey? }
+//   requesters - contacts with an open bus request (NEW, UNDER_REVIEW, PLANNED)
+//   searchers  - contacts of availability checks in the last `sinceDays` days (default 30)
+// Repeating a request with the same idempotencyKey does not message anyone twice.
+app.post('/api/admin/announcements', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const { subject, message, audience, idempotencyKey } = req.body || {};
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !/^[\w-]{8,100}$/.test(idempotencyKey))) {
+      return res.status(400).json({ success: false, message: 'idempotencyKey must be 8-100 letters, digits, "-" or "_"' });
+    }
+    if (typeof subject !== 'string' || !subject.trim() || subject.length > 200) {
+      return res.status(400).json({ success: false, message: 'subject is required (max 200 characters)' });
+    }
+    if (typeof message !== 'string' || !message.trim() || message.length > 2000) {
+      return res.status(400).json({ success: false, message: 'message is required (max 2000 characters)' });
+    }
+    if (!ANNOUNCEMENT_AUDIENCES.includes(audience)) {
+      return res.status(400).json({ success: false, message: `audience must be one of ${ANNOUNCEMENT_AUDIENCES.join(', ')}` });
+    }
+    let contacts;
+    if (audience === 'requesters') {
+      const rows = await prisma.busRequest.findMany({
+        where: { status: { in: ['NEW', 'UNDER_REVIEW', 'PLANNED'] }, contact: { not: '' } },
+        select: { contact: true }
+      });
+      contacts = rows.map(r => r.contact);
+    } else {
+      const sinceDays = Math.min(Math.max(parseInt(req.body.sinceDays, 10) || 30, 1), 365);
+      const rows = await prisma.availabilityLog.findMany({
+        where: { createdAt: { gte: new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000) }, contact: { not: '' } },
+        select: { contact: true },
+        distinct: ['contact']
+      });
+      contacts = rows.map(r => r.contact);
+    }
+    // One message per contact; with the client's idempotencyKey a retried request finds
+    // every dedupe key already queued and sends nothing again
+    const unique = [...new Map(contacts.map(c => [c.trim().toLowerCase(), c.trim()])).values()];
+    const announcementId = idempotencyKey || require('crypto').randomUUID();
+    let queued = 0;
+    for (const contact of unique) {
+      const row = await notificationOutbox.notify({
+        contact,
+        template: 'announcement',
+        data: { subject: subject.trim(), message: message.trim() },
+        dedupeKey: `announcement:${announcementId}:${contact.toLowerCase()}`
+      });
+      if (row) queued++;
+    }
+    logger.info('Announcement queued', { admin: req.admin.email, audience, recipients: unique.length, queued });
+    return res.json({ success: true, message: `Announcement queued for ${queued} contact(s)`, queued, recipients: unique.length });
+  } catch (e) {
+    logger.error('Failed to send announcement', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to send announcement' });
+  }
+});
+
+// ---- Demand analytics (admin) ----
+
+const DEMAND_STATUSES = ['UNAVAILABLE', 'OUT_OF_AREA', 'SCHEDULE_MISMATCH', 'AVAILABLE'];
+const DEMAND_DEFAULT_DAYS = 90;
+
+// "YYYY-MM-DD" (whole day, so `to` is inclusive) or an ISO timestamp; null when invalid
+function parseDemandDate(value, endOfDay) {
+  const str = String(value);
+  const date = new Date(str);
+  if (Number.isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(str)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+// Every bus route as an encoded polyline (cached path, else straight lines between stops)
+async function demandMapRoutes() {
+  const buses = await prisma.bus.findMany({ include: { stops: true } });
+  const routes = [];
+  for (const bus of buses) {
+    let cached = null;
+    try {
+      cached = await routeCache.getRoutes(bus);
+    } catch (e) {
+      logger.debug('Route cache lookup failed for demand map', { busId: bus.id, error: e && e.message });
+    }
+    for (const period of ['MORNING', 'EVENING']) {
+      const stops = bus.stops.filter(s => s.period === period).sort((a, b) => a.order - b.order);
+      if (!stops.length) continue;
+      const path = cached && cached[period === 'MORNING' ? 'morningRoute' : 'eveningRoute'];
+      const polyline = (cached && cached.encoded && cached.encoded[period]) ||
+        encodePolyline(path && path.length ? path : stops.map(s => ({ lat: s.lat, lng: s.lng })));
+      routes.push({ busNumber: bus.number, busName: bus.name, period, polyline });
+    }
+  }
+  return routes;
+}
+
+// Admin: demand heatmap of searches the buses did not serve.
+// Query: from, to (dates, default the last 90 days), period (MORNING | EVENING | BOTH),
+// status (comma-separated, default UNAVAILABLE), requestedOnly, verifiedOnly,
+// cellMeters (100-5000, default 500), minCount (cluster threshold per cell, default 3)
+app.get('/api/admin/analytics/demand', requireAdmin, async (req, res) => {
+  try {
+    const to = req.query.to ? parseDemandDate(req.query.to, true) : new Date();
+    const from = req.query.from ? parseDemandDate(req.query.from, false) : new Date(to.getTime() - DEMAND_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+    if (!from || !to || from >= to) {
+      return res.status(400).json({ success: false, message: 'from and to must be dates (YYYY-MM-DD) with from before to' });
+    }
+    const period = req.query.period ? String(req.query.period).toUpperCase() : null;
+    if (period && !SEARCH_PERIODS.includes(period)) {
+      return res.status(400).json({ success: false, message: 'period must be MORNING, EVENING or BOTH' });
+    }
+    const statuses = req.query.status ? String(req.query.status).toUpperCase().split(',').map(s => s.trim()).filter(Boolean) : ['UNAVAILABLE'];
+    if (!statuses.length || statuses.some(s => !DEMAND_STATUSES.includes(s))) {
+      return res.status(400).json({ success: false, message: `status must be one or more of ${DEMAND_STATUSES.join(', ')}` });
+    }
+    const cellMeters = req.query.cellMeters ? Number(req.query.cellMeters) : 500;
+    if (!Number.isFinite(cellMeters) || cellMeters < demandAnalytics.MIN_CELL_METERS || cellMeters > demandAnalytics.MAX_CELL_METERS) {
+      return res.status(400).json({ success: false, message: `cellMeters must be between ${demandAnalytics.MIN_CELL_METERS} and ${demandAnalytics.MAX_CELL_METERS}` });
+    }
+    const minCount = Math.max(parseInt(req.query.minCount, 10) || 3, 1);
+    const flag = (v) => v === 'true' || v === '1';
+
+    const campus = await geocoders.getCampusLocation();
+    const grid = await demandAnalytics.gridCells({
+      from,
+      to,
+      statuses,
+      period,
+      requestedOnly: flag(req.query.requestedOnly),
+      verifiedOnly: flag(req.query.verifiedOnly),
+      cellMeters,
+      refLat: campus ? campus.lat : 0
+    });
+    const clusters = demandAnalytics.clusterCells(grid.cells, { minCount });
+    // How far each cluster is from the closest existing route (null beyond NEAREST_ALTERNATIVES_MAX_KM)
+    for (const cluster of clusters) {
+      const [nearest] = await findNearestAlternativesDb({ lat: cluster.lat, lng: cluster.lng }, { period: period || 'BOTH', limit: 1 });
+      cluster.nearestRoute = nearest ? { busNumber: nearest.busNumber, busName: nearest.busName, period: nearest.period, distanceMeters: nearest.distanceMeters, nearestStop: nearest.nearestStop } : null;
+    }
+
+    const totals = { searches: 0, morning: 0, evening: 0, both: 0, requested: 0 };
+    for (const c of grid.cells) {
+      for (const key of Object.keys(totals)) totals[key] += c[key];
+    }
+    return res.json({
+      success: true,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      period,
+      statuses,
+      cellMeters: grid.cellMeters,
+      truncated: grid.truncated,
+      totals: { ...totals, cells: grid.cells.length, clusters: clusters.length },
+      cells: grid.cells,
+      clusters,
+      routes: await demandMapRoutes()
+    });
+  } catch (e) {
+    logger.error('Failed to build demand analytics', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to build demand analytics' });
+  }
+});
+
+// Admin: recent route coverage reports (past requests covered by route changes), newest first
+// (?limit=, default 20, max 200)
+app.get('/api/admin/route-coverage/reports', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    return res.json({ success: true, reports: await routeCoverage.recentReports({ limit }) });
+  } catch (e) {
+    logger.error('Failed to list route coverage reports', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to list route coverage reports' });
+  }
+});
+
+// Admin: re-check past unserved requests now. Body: { busNumber? } (all buses when omitted)
+app.post('/api/admin/route-coverage/check', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const busNumber = req.body && req.body.busNumber;
+    let busIds = null;
+    if (busNumber !== undefined && busNumber !== null && busNumber !== '') {
+      const bus = await prisma.bus.findUnique({ where: { number: String(busNumber) }, select: { id: true } });
+      if (!bus) return res.status(404).json({ success: false, message: 'Bus not found' });
+      busIds = [bus.id];
+    }
+    const report = await routeCoverage.checkBuses(busIds, { trigger: 'manual' });
+    return res.json({ success: true, message: `${report.coveredRequests} past request(s) now covered, ${report.queued} notification(s) queued`, report });
+  } catch (e) {
+    logger.error('Route coverage check failed', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to check route coverage' });
+  }
+});
+
+// ---- Landmarks (admin-curated gazetteer entries) ----
+
+// Validate a landmark body -> { data } or { error }
+function parseLandmarkBody(body) {
+  const { name, aliases, lat, lng } = body || {};
+  if (!name || typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+  const nLat = Number(lat); const nLng = Number(lng);
+  if (lat === undefined || lng === undefined || Number.isNaN(nLat) || Number.isNaN(nLng) || Math.abs(nLat) > 90 || Math.abs(nLng) > 180) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+  if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(a => typeof a !== 'string'))) {
+    return { error: 'aliases must be an array of strings' };
+  }
+  const cleanAliases = [...new Set((aliases || []).map(a => a.trim()).filter(Boolean))];
+  return { data: { name: name.trim(), aliases: cleanAliases, lat: nLat, lng: nLng } };
+}
+
+app.get('/api/admin/landmarks', requireAdmin, async (req, res) => {
+  try {
+    const landmarks = await prisma.landmark.findMany({ orderBy: { name: 'asc' } });
+    return res.json({ success: true, landmarks });
+  } catch (e) {
+    logger.error('Failed to list landmarks', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to list landmarks' });
+  }
+});
+
+app.post('/api/admin/landmarks', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const { data, error } = parseLandmarkBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const landmark = await prisma.landmark.create({ data });
+    geocoders.invalidateGazetteer();
+    return res.json({ success: true, message: 'Landmark added', landmark });
+  } catch (e) {
+    if (e && e.code === 'P2002') return res.status(409).json({ success: false, message: 'A landmark with this name already exists' });
+    logger.error('Failed to add landmark', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to add landmark' });
+  }
+});
+
+app.put('/api/admin/landmarks/:id', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    const { data, error } = parseLandmarkBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    const landmark = await prisma.landmark.update({ where: { id }, data });
+    geocoders.invalidateGazetteer();
+    return res.json({ success: true, message: 'Landmark updated', landmark });
+  } catch (e) {
+    if (e && e.code === 'P2025') return res.status(404).json({ success: false, message: 'Landmark not found' });
+    if (e && e.code === 'P2002') return res.status(409).json({ success: false, message: 'A landmark with this name already exists' });
+    logger.error('Failed to update landmark', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to update landmark' });
+  }
+});
+
+app.delete('/api/admin/landmarks/:id', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    await prisma.landmark.delete({ where: { id } });
+    geocoders.invalidateGazetteer();
+    return res.json({ success: true, message: 'Landmark deleted' });
+  } catch (e) {
+    if (e && e.code === 'P2025') return res.status(404).json({ success: false, message: 'Landmark not found' });
+    logger.error('Failed to delete landmark', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to delete landmark' });
+  }
+});
+
+// Admin: inspect the persistent geocode cache (?kind=FORWARD|REVERSE&q=&limit=&offset=)
+app.get('/api/admin/geocode-cache', requireAdmin, async (req, res) => {
+  try {
+    const kind = req.query.kind ? String(req.query.kind).toUpperCase() : undefined;
+    if (kind && !geocodeCache.KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, message: `kind must be one of ${geocodeCache.KINDS.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { total, entries } = await geocodeCache.list({ kind, q: req.query.q ? String(req.query.q) : undefined, limit, offset });
+    return res.json({ success: true, total, entries, ttlDays: geocodeCache.GEOCODE_CACHE_TTL_DAYS });
+  } catch (e) {
+    logger.error('Failed to list geocode cache', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to list geocode cache' });
+  }
+});
+
+// Admin: correct a cached geocode (pins the entry so it never expires or gets overwritten)
+app.put('/api/admin/geocode-cache/:id', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    const { lat, lng, formattedAddress } = req.body || {};
+    const update = {};
+    if (lat !== undefined || lng !== undefined) {
+      const nLat = Number(lat); const nLng = Number(lng);
+      if (Number.isNaN(nLat) || Number.isNaN(nLng) || Math.abs(nLat) > 90 || Math.abs(nLng) > 180) {
+        return res.status(400).json({ success: false, message: 'lat and lng must both be valid coordinates' });
+      }
+      update.lat = nLat; update.lng = nLng;
+    }
+    if (formattedAddress !== undefined) {
+      if (typeof formattedAddress !== 'string' || !formattedAddress.trim()) {
+        return res.status(400).json({ success: false, message: 'formattedAddress must be a non-empty string' });
+      }
+      update.formattedAddress = formattedAddress.trim();
+    }
+    if (!Object.keys(update).length) return res.status(400).json({ success: false, message: 'Nothing to update' });
+    const entry = await geocodeCache.correct(id, update);
+    return res.json({ success: true, message: 'Geocode entry corrected', entry });
+  } catch (e) {
+    if (e && e.code === 'P2025') return res.status(404).json({ success: false, message: 'Entry not found' });
+    logger.error('Failed to correct geocode cache entry', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to update entry' });
+  }
+});
+
+// Admin: delete one cached geocode
+app.delete('/api/admin/geocode-cache/:id', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ success: false, message: 'Invalid id' });
+    await geocodeCache.remove(id);
+    return res.json({ success: true, message: 'Geocode entry deleted' });
+  } catch (e) {
+    if (e && e.code === 'P2025') return res.status(404).json({ success: false, message: 'Entry not found' });
+    logger.error('Failed to delete geocode cache entry', { id: req.params.id, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to delete entry' });
+  }
+});
+
+// Admin: purge the geocode cache. Body: { kind?, expiredOnly? }
+app.post('/api/admin/geocode-cache/purge', requireAdmin, requireCsrf, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const kind = body.kind ? String(body.kind).toUpperCase() : undefined;
+    if (kind && !geocodeCache.KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, message: `kind must be one of ${geocodeCache.KINDS.join(', ')}` });
+    }
+    const deleted = await geocodeCache.purge({ kind, expiredOnly: body.expiredOnly === true || body.expiredOnly === 'true' });
+    logger.info('Geocode cache purged', { kind, expiredOnly: Boolean(body.expiredOnly), deleted });
+    return res.json({ success: true, message: `Deleted ${deleted} geocode entries`, deleted });
+  } catch (e) {
+    logger.error('Failed to purge geocode cache', { error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to purge geocode cache' });
+  }
+});
+
 // Admin-only utility: compute minDist (point-only) and segment min-distance for a given bus and user coords
 app.post('/api/admin/debug/min-dist', requireAdmin, async (req, res) => {
   try {
@@ -1944,26 +2909,19 @@ app.post('/api/admin/debug/min-dist', requireAdmin, async (req, res) => {
     const bus = await prisma.bus.findUnique({ where: { number: String(busNumber) }, include: { stops: true } });
     if (!bus) return res.status(404).json({ success: false, message: 'Bus not found' });
 
-    // Use cached polyline if available, else build on-demand (do not persist to disk here)
-    let cached = routePolylinesCache.get(bus.id);
-    if (!cached) {
-      try { cached = await buildRouteForBus(bus); routePolylinesCache.set(bus.id, cached); } catch (e) { /* ignore build failure */ }
-    }
+    // Use cached polyline if available, else build on-demand
+    let cached = null;
+    try { cached = await routeCache.ensureRoutes(bus); } catch (e) { /* ignore build failure */ }
 
     const userLocation = { lat: Number(lat), lng: Number(lng) };
     const report = { busNumber: bus.number, busId: bus.id, userLocation };
 
     // Compute point-only min dist for morning/evening
     const computeFor = (route) => {
-      if (!route || route.length === 0) return { minDistPoint: Infinity, minIndexPoint: -1, minDistSegment: Infinity, minSegmentIndex: -1 };
+      if (!route || route.length === 0) return { minDistPoint: Infinity, minIndexPoint: -1, minDistSegment: Infinity, minSegmentIndex: -1, closestPoint: null };
       const { minDist, minIndex } = getMinDistanceAlongPath(userLocation, route);
-      let minSeg = Infinity; let minSegIndex = -1;
-      for (let i = 0; i < route.length - 1; i++) {
-        const a = route[i]; const b = route[i+1];
-        const segDist = pointToSegmentDistanceMeters(a, b, { lat: userLocation.lat, lng: userLocation.lng });
-        if (segDist < minSeg) { minSeg = segDist; minSegIndex = i; }
-      }
-      return { minDistPoint: minDist, minIndexPoint: minIndex, minDistSegment: minSeg, minSegmentIndex: minSegIndex };
+      const seg = getMinDistanceToPath(userLocation, route);
+      return { minDistPoint: minDist, minIndexPoint: minIndex, minDistSegment: seg.minDist, minSegmentIndex: seg.segmentIndex, closestPoint: seg.closestPoint };
     };
 
     report.morning = cached && cached.morningRoute ? computeFor(cached.morningRoute) : null;
@@ -1975,6 +2933,90 @@ app.post('/api/admin/debug/min-dist', requireAdmin, async (req, res) => {
   }
 });
 
+// Shape a bus (with stops) for the public routes API
+function toRouteStops(stops, period) {
+  return (stops || [])
+    .filter(s => s.period === period)
+    .sort((a, b) => a.order - b.order)
+    .map(s => ({ name: s.name, coords: { lat: s.lat, lng: s.lng }, scheduledTime: s.scheduledTime || null }));
+}
+
+/**
+ * Add a per-period `timetable` (see schedule.buildTimetable) to a public route. Stop
+ * times missing from the database are interpolated along the cached polyline, or along
+ * the straight lines between stops when no route is cached.
+ */
+function attachTimetables(route, bus, cached) {
+  const periods = [
+    ['morningRoute', 'MORNING', bus.morningStartTime, bus.morningEndTime],
+    ['eveningRoute', 'EVENING', bus.eveningStartTime, bus.eveningEndTime]
+  ];
+  for (const [key, period, start, end] of periods) {
+    const stops = (bus.stops || [])
+      .filter(s => s.period === period)
+      .sort((a, b) => a.order - b.order);
+    const path = (cached && cached[key]) || [];
+    route[key].timetable = buildTimetable(stops, path, start, end);
+  }
+  return route;
+}
+
+function toPublicRoute(bus) {
+  const morningStops = toRouteStops(bus.stops, 'MORNING');
+  const eveningStops = toRouteStops(bus.stops, 'EVENING');
+
+  return {
+    number: bus.number,
+    name: bus.name,
+    location: bus.location,
+    routeName: bus.routeName || null,
+    imageUrl: bus.imageUrl || null,
+    morningStartTime: bus.morningStartTime || null,
+    morningEndTime: bus.morningEndTime || null,
+    eveningStartTime: bus.eveningStartTime || null,
+    eveningEndTime: bus.eveningEndTime || null,
+    capacity: bus.capacity,
+    currentOccupancy: bus.currentOccupancy,
+    driverName: bus.driverName,
+    driverPhone: bus.driverPhone,
+    liveLocationUrl: bus.liveLocationUrl,
+    morningRoute: {
+      stops: morningStops,
+      from: morningStops[0]?.name || 'Start',
+      to: morningStops[morningStops.length - 1]?.name || 'End',
+      description: `Route from ${morningStops[0]?.name || 'Start'} to ${morningStops[morningStops.length - 1]?.name || 'End'}`,
+    },
+    eveningRoute: {
+      stops: eveningStops,
+      from: eveningStops[0]?.name || 'Start',
+      to: eveningStops[eveningStops.length - 1]?.name || 'End',
+      description: `Route from ${eveningStops[0]?.name || 'Start'} to ${eveningStops[eveningStops.length - 1]?.name || 'End'}`,
+    },
+  };
+}
+
+// Total length of a polyline in meters
+function pathLengthMeters(path) {
+  let total = 0;
+  for (let i = 0; i < (path || []).length - 1; i++) {
+    total += haversineDistance(toGeoPoint(path[i]), toGeoPoint(path[i + 1]));
+  }
+  return total;
+}
+
+const BUS_AVG_SPEED_KMH = parseFloat(process.env.BUS_AVG_SPEED_KMH) || 25;
+
+// Route duration: scheduled start/end when both are set, else length at average bus speed
+function estimateRouteDuration(lengthMeters, startTime, endTime) {
+  const start = parseTimeToMinutes(startTime);
+  const end = parseTimeToMinutes(endTime);
+  if (start !== null && end !== null && end > start) {
+    return { durationMinutes: end - start, durationSource: 'schedule' };
+  }
+  if (!lengthMeters) return { durationMinutes: null, durationSource: null };
+  return { durationMinutes: Math.round((lengthMeters / 1000) / BUS_AVG_SPEED_KMH * 60), durationSource: 'estimate' };
+}
+
 // Get all bus routes (from DB)
 app.get('/api/routes', async (req, res) => {
   try {
@@ -2008,49 +3050,63 @@ app.get('/api/routes', async (req, res) => {
       busesWithStops = rawBuses.map(b => ({ ...b, stops: stopsByBus[b.id] || [] }));
     }
 
-    const toStops = (stops, period) => (stops || [])
-      .filter(s => s.period === period)
-      .sort((a, b) => a.order - b.order)
-      .map(s => ({ name: s.name, coords: { lat: s.lat, lng: s.lng } }));
+    // Timetables use already-cached polylines only; the list never triggers route builds
+    const routes = await Promise.all((busesWithStops || []).map(async bus => {
+      let cached = null;
+      try {
+        cached = await routeCache.getRoutes(bus);
+      } catch (e) {
+        logger.debug('Route cache lookup failed for timetable', { busId: bus.id, error: e && e.message });
+      }
+      return attachTimetables(toPublicRoute(bus), bus, cached);
+    }));
 
-    const routes = (busesWithStops || []).map(bus => {
-      const morningStops = toStops(bus.stops, 'MORNING');
-      const eveningStops = toStops(bus.stops, 'EVENING');
+    res.json({ success: true, routes });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: 'Failed to load routes' });
+  }
+});
+
+// Get a single bus route with its full polyline, length and estimated duration
+app.get('/api/routes/:busNumber', async (req, res) => {
+  try {
+    const busNumber = String(req.params.busNumber || '');
+    const bus = await prisma.bus.findUnique({ where: { number: busNumber }, include: { stops: true } });
+    if (!bus) return res.status(404).json({ success: false, message: 'Bus not found' });
+
+    // Prefer the cached polyline; build on demand when missing
+    let cached;
+    try {
+      cached = await routeCache.ensureRoutes(bus);
+    } catch (e) {
+      logger.warn('On-demand route build failed', { busNumber, error: e && e.message });
+      cached = { morningRoute: [], eveningRoute: [] };
+    }
 
+    const route = toPublicRoute(bus);
+    const providers = cached.providers || {};
+    const encoded = cached.encoded || {};
+    // The path is served as a Google encoded polyline (simplified within maxDeviationMeters)
+    const withPath = (routeObj, path, polyline, provider, startTime, endTime) => {
+      const lengthMeters = Math.round(pathLengthMeters(path));
       return {
-        number: bus.number,
-        name: bus.name,
-        location: bus.location,
-        routeName: bus.routeName || null,
-        imageUrl: bus.imageUrl || null,
-        morningStartTime: bus.morningStartTime || null,
-        morningEndTime: bus.morningEndTime || null,
-        eveningStartTime: bus.eveningStartTime || null,
-        eveningEndTime: bus.eveningEndTime || null,
-        capacity: bus.capacity,
-        currentOccupancy: bus.currentOccupancy,
-        driverName: bus.driverName,
-        driverPhone: bus.driverPhone,
-        liveLocationUrl: bus.liveLocationUrl,
-        morningRoute: {
-          stops: morningStops,
-          from: morningStops[0]?.name || 'Start',
-          to: morningStops[morningStops.length - 1]?.name || 'End',
-          description: `Route from ${morningStops[0]?.name || 'Start'} to ${morningStops[morningStops.length - 1]?.name || 'End'}`,
-        },
-        eveningRoute: {
-          stops: eveningStops,
-          from: eveningStops[0]?.name || 'Start',
-          to: eveningStops[eveningStops.length - 1]?.name || 'End',
-          description: `Route from ${eveningStops[0]?.name || 'Start'} to ${eveningStops[eveningStops.length - 1]?.name || 'End'}`,
-        },
+        ...routeObj,
+        polyline: polyline || encodePolyline(path || []),
+        maxDeviationMeters: routeCache.MAX_DEVIATION_METERS,
+        provider: provider || null,
+        lengthMeters,
+        ...estimateRouteDuration(lengthMeters, startTime, endTime)
       };
-    });
+    };
+    route.morningRoute = withPath(route.morningRoute, cached.morningRoute, encoded.MORNING, providers.MORNING, bus.morningStartTime, bus.morningEndTime);
+    route.eveningRoute = withPath(route.eveningRoute, cached.eveningRoute, encoded.EVENING, providers.EVENING, bus.eveningStartTime, bus.eveningEndTime);
+    attachTimetables(route, bus, cached);
 
-    res.json({ success: true, routes });
+    return res.json({ success: true, bus: route });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ success: false, message: 'Failed to load routes' });
+    logger.error('Failed to load route', { busNumber: req.params.busNumber, error: e && e.message });
+    return res.status(500).json({ success: false, message: 'Failed to load route' });
   }
 });
 
@@ -2073,12 +3129,11 @@ httpServer.listen(PORT, async () => {
     logger.warn('Auto-migration skipped or failed', { error: error.message });
   }
 
-  // Initialize route cache cleanup (2-hour refresh)
+  // Initialize optional periodic route cache refresh (every ROUTE_CACHE_REFRESH_HOURS, off when 0)
   try {
-    const { initializeRouteCacheCleanup } = require('./dbHelpers');
-    initializeRouteCacheCleanup();
+    routeCache.startPeriodicRefresh();
   } catch (error) {
-    logger.warn('Route cache cleanup initialization skipped', { error: error.message });
+    logger.warn('Route cache refresh initialization skipped', { error: error.message });
   }
 });
 
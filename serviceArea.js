@@ -0,0 +1,123 @@
+/**
+ * Service area (admin-defined region served by the buses)
+ *
+ * Stored in SiteSettings.serviceArea as a GeoJSON Polygon or MultiPolygon
+ * ([lng, lat] positions, holes allowed). `/api/check-availability` rejects
+ * locations outside it with status OUT_OF_AREA before searching routes.
+ * No service area configured means every location is accepted.
+ */
+
+const MAX_VERTICES = 5000;
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SERVICE_AREA';
+  return err;
+}
+
+// Validate one linear ring; closes it when the last position differs from the first
+function normalizeRing(ring) {
+  if (!Array.isArray(ring)) throw invalid('Each polygon ring must be an array of [lng, lat] positions');
+  const out = ring.map(pos => {
+    if (!Array.isArray(pos) || pos.length < 2) throw invalid('Positions must be [lng, lat] arrays');
+    const lng = Number(pos[0]);
+    const lat = Number(pos[1]);
+    if (!Number.isFinite(lng) || !Number.isFinite(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+      throw invalid('Positions must be [lng, lat] with lng in -180..180 and lat in -90..90');
+    }
+    return [lng, lat];
+  });
+  const first = out[0];
+  const last = out[out.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) out.push([first[0], first[1]]);
+  if (out.length < 4) throw invalid('A polygon ring needs at least 3 distinct points');
+  return out;
+}
+
+function normalizePolygon(rings) {
+  if (!Array.isArray(rings) || !rings.length) throw invalid('Polygon coordinates must contain an outer ring');
+  return rings.map(normalizeRing);
+}
+
+/**
+ * Validate admin input and return a GeoJSON Polygon / MultiPolygon geometry, or null
+ * to clear the service area. Accepts a geometry, a Feature, a FeatureCollection of
+ * polygons, or a JSON string of any of these.
+ * @throws {Error} with code INVALID_SERVICE_AREA and a message for the admin
+ */
+function normalizeServiceArea(input) {
+  if (input === null || input === undefined || input === '') return null;
+  let geo = input;
+  if (typeof geo === 'string') {
+    try {
+      geo = JSON.parse(geo);
+    } catch (e) {
+      throw invalid('Service area is not valid JSON');
+    }
+  }
+  if (!geo || typeof geo !== 'object') throw invalid('Service area must be a GeoJSON object');
+
+  if (geo.type === 'Feature') return normalizeServiceArea(geo.geometry);
+  if (geo.type === 'FeatureCollection') {
+    const polygons = [];
+    for (const f of Array.isArray(geo.features) ? geo.features : []) {
+      const g = normalizeServiceArea(f && f.geometry);
+      if (!g) continue;
+      if (g.type === 'Polygon') polygons.push(g.coordinates);
+      else polygons.push(...g.coordinates);
+    }
+    if (!polygons.length) throw invalid('FeatureCollection contains no polygons');
+    return polygons.length === 1 ? { type: 'Polygon', coordinates: polygons[0] } : { type: 'MultiPolygon', coordinates: polygons };
+  }
+
+  let area;
+  if (geo.type === 'Polygon') area = { type: 'Polygon', coordinates: normalizePolygon(geo.coordinates) };
+  else if (geo.type === 'MultiPolygon') {
+    if (!Array.isArray(geo.coordinates) || !geo.coordinates.length) throw invalid('MultiPolygon must contain at least one polygon');
+    area = { type: 'MultiPolygon', coordinates: geo.coordinates.map(normalizePolygon) };
+  } else {
+    throw invalid('Service area must be a GeoJSON Polygon or MultiPolygon');
+  }
+
+  const polygons = area.type === 'Polygon' ? [area.coordinates] : area.coordinates;
+  const vertices = polygons.reduce((acc, rings) => acc + rings.reduce((n, ring) => n + ring.length, 0), 0);
+  if (vertices > MAX_VERTICES) throw invalid(`Service area is too detailed (max ${MAX_VERTICES} points)`);
+  return area;
+}
+
+// Ray casting on [lng, lat] positions
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function polygonContains(rings, lng, lat) {
+  if (!ringContains(rings[0], lng, lat)) return false;
+  // Inner rings are holes
+  return !rings.slice(1).some(hole => ringContains(hole, lng, lat));
+}
+
+/**
+ * True when the point lies inside the service area (or no area is configured).
+ * @param {Object|null} area - normalized geometry from normalizeServiceArea
+ * @param {Object} point - { lat, lng }
+ */
+function containsPoint(area, point) {
+  if (!area || !area.coordinates) return true;
+  const lat = Number(point && point.lat);
+  const lng = Number(point && point.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+  if (area.type === 'Polygon') return polygonContains(area.coordinates, lng, lat);
+  if (area.type === 'MultiPolygon') return area.coordinates.some(p => polygonContains(p, lng, lat));
+  return true;
+}
+
+module.exports = {
+  normalizeServiceArea,
+  containsPoint
+};